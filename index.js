@@ -11,20 +11,63 @@ import path, { dirname } from "path";
 import { fileURLToPath } from "url";
 import ImageKit from "imagekit";
 import mongoose from "mongoose";
-import { ObjectId } from "mongodb";
 import Chat from "./models/chat.js";
 import UserChats from "./models/userChats.js";
 import PinnedChats from "./models/pinnedChats.js";
+import DataSource from "./models/dataSource.js";
+import { requireAuth, requireAdmin, requireOwnership, isAdmin } from "./middleware/auth.js";
+import { limitGeneration, limitUploads } from "./middleware/rateLimit.js";
+import { auditEvent, recordRequestAuditEvent } from "./middleware/audit.js";
+import { acceptUpload, acceptUploads } from "./middleware/upload.js";
+import { buildConversationContext } from "./utils/conversationContext.js";
+import { searchTerms, findMatchingMessages } from "./utils/chatSearch.js";
+import { activeBranch, activeLeafId, branchTo, parentIdOf, siblingIds, latestLeafFrom } from "./utils/chatBranches.js";
+import { EXPORT_FORMATS, isExportFormat, buildChatExport, renderChatExport, exportFileName, zipChatExports } from "./utils/chatExport.js";
+import { validateFeedback, citedDataSources, feedbackReport, REPORT_INTERVALS } from "./utils/feedbackService.js";
+import { usageSummary, ensureUsageIndexes } from "./utils/usageService.js";
+import { auditFilter, auditCsvRow, AUDIT_CSV_COLUMNS } from "./utils/auditLog.js";
+import { validateUpload, scanUpload, MAX_DIRECT_UPLOAD_BYTES } from "./utils/uploadValidation.js";
+import {
+  planUpload,
+  pendingUploadExpiry,
+  stagingLocation,
+  stagedObject,
+  promoteStagedUpload,
+  discardPendingUpload,
+  startPendingUploadCleanup,
+  UPLOAD_URL_EXPIRES_IN,
+} from "./utils/directUpload.js";
+import { cacheDocumentText, loadDocumentText, BACKGROUND_EXTRACTION_MAX_BYTES } from "./utils/documentText.js";
+import { summarizeDocument, summarizeIndexedDocuments } from "./utils/documentSummary.js";
+import { expandUploads, startInterruptedBatchCleanup } from "./utils/bulkUpload.js";
+import {
+  parseDocumentMetadata,
+  parseRetrievalFilters,
+  hasDocumentMetadata,
+  writeMetadataSidecar,
+  deleteMetadataSidecar,
+} from "./utils/documentMetadata.js";
+import UploadBatch from "./models/uploadBatch.js";
+import AuditEvent from "./models/auditEvent.js";
+import { refreshIngestionStatus, startIngestionStatusPoller } from "./utils/ingestionService.js";
+import { startIngestionScheduler } from "./utils/ingestionScheduler.js";
+import { storage, storageForBucket, documentStorage, documentKey } from "./utils/storageService.js";
+import { retriever } from "./utils/retrieverService.js";
+import { answerQuestion, streamAnswer } from "./utils/answerService.js";
+import { modelSelectionError } from "./utils/llmService.js";
+import {
+  canUseDataSource,
+  accessibleDataSourceIds,
+  listDataSourcesForUser,
+  getDefaultDataSource,
+  ingestionTarget,
+  seedDataSources,
+} from "./utils/dataSourceService.js";
 
 //Imports for document handling
-import multer from "multer";
 import Document from "./models/document.js";
 import fs from "fs";
-import { BedrockAgentClient, StartIngestionJobCommand } from "@aws-sdk/client-bedrock-agent";
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import dotenv from "dotenv";
-import { BedrockAgentRuntimeClient, RetrieveAndGenerateCommand } from "@aws-sdk/client-bedrock-agent-runtime";
 
 
 //import { BedrockAgentRuntimeClient, StartIngestionJobCommand } from "@aws-sdk/client-bedrock";
@@ -34,109 +77,153 @@ import { v4 as uuidv4 } from "uuid"; //Import UUID for unique filenames
 
 dotenv.config();
 
-//Initialise Bedrock Agent Runtime Client
-const bedrockAgentRuntimeClient = new BedrockAgentRuntimeClient({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Function to index an uploaded document in its data source (see utils/retrieverService.js)
+const triggerIndexing = async (document, dataSource) => {
+  try {
+    await retriever.indexDocument(document, dataSource);
+  } catch (error) {
+    console.error("❌ Error indexing document:", error);
+
+    document.indexingStatus = "failed";
+    document.indexingError = error.message;
+  }
 
+  const saved = await document.save();
 
+  // Retrievers that index synchronously (local) are done already; Bedrock documents are
+  // summarised when their ingestion job completes
+  if (saved.indexingStatus === "complete") {
+    summarizeIndexedDocuments({ _id: saved._id });
+  }
+  return saved;
+};
 
-// Initialize the S3 client
-const s3 = new S3Client({
-  region: process.env.AWS_REGION, 
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Index a batch of documents from one data source together (a single ingestion job on Bedrock)
+const triggerBatchIndexing = async (documents, dataSource) => {
+  try {
+    await retriever.indexDocuments(documents, dataSource);
+  } catch (error) {
+    console.error("❌ Error indexing document batch:", error);
 
-//Initialize bedrock client
+    for (const document of documents) {
+      document.indexingStatus = "failed";
+      document.indexingError = error.message;
+    }
+  }
 
-const bedrockClient = new BedrockAgentClient({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+  const saved = await Promise.all(documents.map((document) => document.save()));
+  summarizeIndexedDocuments({ _id: { $in: saved.filter((document) => document.indexingStatus === "complete").map((document) => document._id) } });
+  return saved;
+};
 
 
+// Object key for a new upload, under the data source's prefix so only that data source ingests it
+const documentObjectKey = (fileName, dataSource) => `${dataSource?.prefix || ""}${uuidv4()}-${fileName}`;
 
-const KNOWLEDGE_BASE_ID = "QAMQE57LAY";
+//Function to upload file to the configured storage (S3 unless STORAGE_DRIVER=local)
+// Files land in the data source's bucket and prefix so only that data source ingests them.
+const uploadDocumentFile = async (fileBuffer, originalFileName, contentType, dataSource) => {
+  const uniqueFileName = documentObjectKey(originalFileName, dataSource);
+  const target = storageForBucket(dataSource?.bucket);
 
-// Function to trigger Bedrock Knowledge Base sync after upload
-const triggerBedrockIngestion = async (fileKey) => {
   try {
-    const input = {
-      knowledgeBaseId: KNOWLEDGE_BASE_ID, // required
-      dataSourceId: process.env.DATA_SOURCE_ID, // required
-      clientToken: uuidv4(), // Ensures idempotency
-      description: `Ingestion for file: ${fileKey}`,
-    };
+    const stored = await target.put(uniqueFileName, fileBuffer, contentType);
+    console.log(`✅ File uploaded to ${target.driver} storage:`, uniqueFileName);
 
-    const command = new StartIngestionJobCommand(input);
-    const response = await bedrockClient.send(command);
-    
-    console.log(`✅ Bedrock Ingestion Job Started: ${response.ingestionJob.ingestionJobId}`);
+    return { ...stored, bucket: target.bucket || null };
   } catch (error) {
-    console.error("❌ Error starting ingestion job in Bedrock:", error);
+    console.error("❌ Error uploading file to storage:", error);
+    throw error;
   }
 };
 
-
-//Function to upload file to s3 and trigger bedrock sync
-const uploadFileToS3 = async (fileBuffer, originalFileName, contentType) => {
-  const uniqueFileName = `${uuidv4()}-${originalFileName}`;
-  const uploadParams = {
-    Bucket: process.env.S3_BUCKET_NAME,
-    Key: uniqueFileName,
-    Body: fileBuffer,
-    ContentType: contentType,
-  };
-
+// Function to drop a deleted document from its data source
+const triggerReIndexing = async (document, dataSource) => {
   try {
-    await s3.send(new PutObjectCommand(uploadParams));
-    console.log("✅ File uploaded to S3:", uniqueFileName);
-
-    // Sync with Bedrock Knowledge Base
-    await triggerBedrockIngestion(uniqueFileName);
-
-    return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${uniqueFileName}`;
+    await retriever.removeDocument(document, dataSource);
   } catch (error) {
-    console.error("❌ Error uploading file to S3:", error);
-    throw error;
+    console.error("❌ Error re-indexing knowledge base:", error);
   }
 };
 
-// Function to re-ingest the knowledge base after file deletion
-const triggerBedrockReIngestion = async () => {
-  try {
-    const listParams = { Bucket: process.env.S3_BUCKET_NAME };
-    const s3Response = await s3.send(new ListObjectsV2Command(listParams));
-    const objectKeys = s3Response.Contents ? s3Response.Contents.map(obj => obj.Key) : [];
 
-    if (objectKeys.length > 0) {
-      const input = {
-        knowledgeBaseId: KNOWLEDGE_BASE_ID,
-        dataSourceId: process.env.DATA_SOURCE_ID,
-        clientToken: uuidv4(),
-        description: "Re-ingestion after file deletion",
+// Citations returned by the knowledge base
+
+// Split an s3://bucket/key or local://key URI into its bucket (S3 only) and key
+const parseObjectUri = (uri) => {
+  const match = /^(?:s3:\/\/([^/]+)|local:\/)\/(.+)$/.exec(uri || "");
+  return match ? { bucket: match[1] || null, key: match[2] } : { bucket: null, key: null };
+};
+
+// Map cited objects back to our Document records (name and id)
+const attachCitationDocuments = async (citations) => {
+  const keys = [
+    ...new Set(
+      citations.flatMap((citation) => citation.references.map((reference) => parseObjectUri(reference.location).key))
+    ),
+  ].filter(Boolean);
+
+  const documents = keys.length
+    ? await Document.find(
+        { $or: [{ objectKey: { $in: keys } }, { fileUrl: { $in: keys.map(storage.objectUrl) } }] },
+        { fileName: 1, fileUrl: 1, objectKey: 1 }
+      )
+    : [];
+  const documentsByKey = new Map(documents.map((document) => [documentKey(document), document]));
+
+  return citations.map((citation) => ({
+    ...citation,
+    references: citation.references.map((reference) => {
+      const { bucket, key } = parseObjectUri(reference.location);
+      const document = documentsByKey.get(key);
+      return {
+        ...reference,
+        bucket,
+        key,
+        documentId: document?._id || null,
+        fileName: document?.fileName || key,
       };
+    }),
+  }));
+};
 
-      const command = new StartIngestionJobCommand(input);
-      const response = await bedrockClient.send(command);
-      
-      console.log(`✅ Bedrock Knowledge Base Re-indexed. Job ID: ${response.ingestionJob.ingestionJobId}`);
-    } else {
-      console.log("⚠️ No files left in S3. Skipping re-ingestion.");
+// Add a short-lived presigned link to every cited source (links are never persisted)
+// Every link handed out is audited as a document.download, once per document per request.
+const signCitationLinks = (req, citations = []) => {
+  req.auditedDownloads = req.auditedDownloads || new Set();
+
+  const signLink = async (reference) => {
+    const url = await storageForBucket(reference.bucket).getSignedUrl(reference.key, { fileName: reference.fileName });
+
+    const target = `${reference.bucket || ""}/${reference.key}`;
+    if (!req.auditedDownloads.has(target)) {
+      req.auditedDownloads.add(target);
+      recordRequestAuditEvent(req, {
+        action: "document.download",
+        targetType: "document",
+        targetId: reference.documentId,
+        details: { fileName: reference.fileName, key: reference.key, via: "citation-link" },
+      });
     }
-  } catch (error) {
-    console.error("❌ Error re-indexing Bedrock Knowledge Base:", error);
-  }
+    return url;
+  };
+
+  return Promise.all(
+    citations.map(async (citation) => ({
+      text: citation.text,
+      references: await Promise.all(
+        citation.references.map(async (reference) => ({
+          content: reference.content,
+          location: reference.location,
+          bucket: reference.bucket,
+          key: reference.key,
+          documentId: reference.documentId,
+          fileName: reference.fileName,
+          url: reference.key ? await signLink(reference) : null,
+        }))
+      ),
+    }))
+  );
 };
 
 
@@ -166,13 +253,19 @@ app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "http://localhost:5173");
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
+  res.setHeader("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization");
   next();
 });
 
 // Express JSON parsing middleware
 app.use(express.json());
 
+// Behind a load balancer, TRUST_PROXY (e.g. "1" or "loopback") lets req.ip report the client
+// address used for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // MongoDB connection
 const connect = async () => {
   try {
@@ -203,21 +296,88 @@ app.get("/api/upload", (req, res) => {
 
 // API Routes
 
+// Every chat, pinned-chat, document and admin route acts on behalf of the signed-in user
+app.use(
+  [
+    "/api/chats",
+    "/api/userchats",
+    "/api/pinnedchats",
+    "/api/documents",
+    "/api/retrieve-and-generate",
+    "/api/instant-lookup",
+    "/api/data-sources",
+    "/api/admin",
+    "/api/usage",
+  ],
+  requireAuth
+);
+
+// Loads req.chat for /api/chats/:id routes, answering 404/403 for missing or foreign chats
+const requireChatOwner = requireOwnership(Chat, { key: "chat" });
+
+// Refuses a `model` the client may not select (see LLM_ALLOWED_MODELS)
+const checkModelSelection = (req, res, next) => {
+  const error = modelSelectionError(req.body.model);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  next();
+};
+
+// Loads req.dataSourceIds: the data sources chat answers may draw on for this user (null: all).
+// Restricted data sources (allowedUsers) stay out of answers for everyone else.
+const withDataSourceScope = async (req, res, next) => {
+  try {
+    req.dataSourceIds = await accessibleDataSourceIds(req.auth.userId);
+    if (req.dataSourceIds && !req.dataSourceIds.length) {
+      return res.status(403).json({ message: "You do not have access to any data source!" });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 // POST: Create a new chat
-app.post("/api/chats", async (req, res) => {
-  const userId = "demouser"; // Using demo user for all requests
-  const { text, assistantResponse } = req.body;
+// The first answer is generated here; client-supplied answers are refused so history cannot be forged.
+// Optional `filters` (as for /api/retrieve-and-generate) apply to this answer only.
+app.post("/api/chats", auditEvent("chat.create", "chat"), withDataSourceScope, checkModelSelection, limitGeneration, async (req, res) => {
+  const { userId } = req.auth;
+  const { text, assistantResponse, model } = req.body;
+
+  if (typeof text !== "string" || !text.trim()) {
+    return res.status(400).json({ message: "Text is required!" });
+  }
+  if (assistantResponse !== undefined) {
+    return res.status(400).json({ message: "assistantResponse is not accepted; the answer is generated by the server" });
+  }
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
   try {
+    const answer = await generateKnowledgeBaseAnswer(text, [], { model, dataSourceIds: req.dataSourceIds, filters });
+
+    const userMessage = { _id: new mongoose.Types.ObjectId(), role: "user", content: text, parentId: null };
+    const assistantMessage = {
+      _id: new mongoose.Types.ObjectId(),
+      role: "assistant",
+      content: answer.text,
+      citations: answer.citations,
+      model: answer.model,
+      parentId: userMessage._id,
+    };
+
     const newChat = new Chat({
       userId: userId,
-      history: [
-        { role: "user", content: text },
-        { role: "assistant", content: assistantResponse },
-      ],
+      history: [userMessage, assistantMessage],
+      activeMessageId: assistantMessage._id,
     });
 
     const savedChat = await newChat.save();
+    res.locals.audit = { targetId: savedChat._id };
     const userChats = await UserChats.find({ userId: userId });
 
     if (!userChats.length) {
@@ -245,16 +405,26 @@ app.post("/api/chats", async (req, res) => {
       );
     }
 
-    res.status(201).json({ chatId: savedChat._id });
+    res.status(201).json({ chatId: savedChat._id, messages: savedChat.history });
   } catch (err) {
     console.error("Error creating chat", err);
     res.status(500).json({ message: "Error creating chat!", error: err.message });
   }
 });
 
+// GET: Remaining generation allowance for the signed-in user
+app.get("/api/usage", async (req, res) => {
+  try {
+    res.status(200).json(await usageSummary(req.auth.userId));
+  } catch (err) {
+    console.error("Error fetching usage", err);
+    res.status(500).json({ message: "Error fetching usage!" });
+  }
+});
+
 // GET: Fetch user chats
 app.get("/api/userchats", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+  const { userId } = req.auth;
 
   try {
     const userChats = await UserChats.find({ userId });
@@ -265,12 +435,118 @@ app.get("/api/userchats", async (req, res) => {
   }
 });
 
-// GET: Fetch a single chat by ID
-app.get("/api/chats/:id", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+// Sidebar titles keyed by chat id, with whether each chat is pinned
+const loadChatTitles = async (userId) => {
+  const [userChats, pinnedChats] = await Promise.all([
+    UserChats.findOne({ userId }),
+    PinnedChats.findOne({ userId }),
+  ]);
+  const titles = new Map([
+    ...(userChats?.chats || []).map((chat) => [chat._id, { title: chat.title, pinned: false }]),
+    ...(pinnedChats?.pinnedChats || []).map((chat) => [chat._id, { title: chat.title, pinned: true }]),
+  ]);
+  return { titles, userChats, pinnedChats };
+};
+
+// GET: Export all of the user's chats as a zip archive
+// Query: format (md|json|pdf, default md). Registered before /api/chats/:id.
+app.get("/api/chats/export", auditEvent("chat.export-all", "chat"), async (req, res) => {
+  const { userId } = req.auth;
+  const format = req.query.format || "md";
+
+  if (!isExportFormat(format)) {
+    return res.status(400).json({ message: "Unsupported export format!" });
+  }
+
+  try {
+    const [{ titles }, chats] = await Promise.all([
+      loadChatTitles(userId),
+      Chat.find({ userId }).sort({ createdAt: 1 }),
+    ]);
+    const exports = chats.map((chat) => buildChatExport(chat, titles.get(String(chat._id))));
+    const archive = await zipChatExports(exports, format);
+    res.locals.audit = { details: { format, chats: exports.length } };
+
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="pipgpt-chats-${format}.zip"`);
+    res.status(200).send(archive);
+  } catch (err) {
+    console.error("Error exporting chats", err);
+    res.status(500).json({ message: "Error exporting chats!" });
+  }
+});
+
+// GET: Search the user's chats by message content
+// Query: q (required), from/to (ISO dates, on chat creation), pinned (true|false), limit.
+// Registered before /api/chats/:id so "search" is not taken for a chat id.
+app.get("/api/chats/search", async (req, res) => {
+  const { userId } = req.auth;
+  const { q, from, to, pinned } = req.query;
+
+  try {
+    const limit = Math.max(1, Math.min(Math.trunc(Number(req.query.limit)) || 20, 50));
+
+    // Repeated query parameters arrive as arrays
+    if (typeof q !== "string" || !q.trim()) {
+      return res.status(400).json({ message: "Search query (q) is required!" });
+    }
+    if ([from, to].some((date) => date !== undefined && typeof date !== "string")) {
+      return res.status(400).json({ message: "Invalid date range!" });
+    }
+
+    const createdAt = {};
+    if (from) createdAt.$gte = new Date(from);
+    if (to) createdAt.$lte = new Date(to);
+    if (Object.values(createdAt).some((date) => isNaN(date))) {
+      return res.status(400).json({ message: "Invalid date range!" });
+    }
+
+    const { titles, pinnedChats } = await loadChatTitles(userId);
+
+    const filter = { userId, $text: { $search: q } };
+    if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+    if (pinned === "true" || pinned === "false") {
+      const pinnedIds = (pinnedChats?.pinnedChats || []).map((chat) => chat._id);
+      filter._id = pinned === "true" ? { $in: pinnedIds } : { $nin: pinnedIds };
+    }
+
+    const chats = await Chat.find(filter, { score: { $meta: "textScore" }, history: 1, activeMessageId: 1, createdAt: 1, updatedAt: 1 })
+      .sort({ score: { $meta: "textScore" } })
+      .limit(limit);
+
+    const terms = searchTerms(q);
+    res.status(200).json(
+      chats.map((chat) => ({
+        chatId: chat._id,
+        title: titles.get(String(chat._id))?.title || chat.history[0]?.content.substring(0, 30) || "",
+        pinned: titles.get(String(chat._id))?.pinned || false,
+        createdAt: chat.createdAt,
+        updatedAt: chat.updatedAt,
+        score: chat.get("score"),
+        matches: findMatchingMessages(chat.history, terms, activeBranch(chat)),
+      }))
+    );
+  } catch (err) {
+    console.error("Error searching chats", err);
+    res.status(500).json({ message: "Error searching chats!" });
+  }
+});
 
+// GET: Fetch a single chat by ID
+// history is the active branch; each message lists its siblingIds (every version of it,
+// oldest first) so the client can switch branches with PUT /api/chats/:id/branch.
+app.get("/api/chats/:id", requireChatOwner, async (req, res) => {
   try {
-    const chat = await Chat.findOne({ _id: new ObjectId(req.params.id), userId });
+    const chat = req.chat.toObject();
+    chat.activeMessageId = activeLeafId(req.chat);
+    chat.history = await Promise.all(
+      activeBranch(req.chat).map(async (message) => ({
+        ...message.toObject(),
+        parentId: parentIdOf(req.chat.history, req.chat.history.indexOf(message)),
+        siblingIds: siblingIds(req.chat.history, message._id),
+        citations: await signCitationLinks(req, message.citations),
+      }))
+    );
     res.status(200).send(chat);
   } catch (err) {
     console.error("Error fetching chat", err);
@@ -278,34 +554,38 @@ app.get("/api/chats/:id", async (req, res) => {
   }
 });
 
-// PUT: Update the chat with a new question and response
-app.put("/api/chats/:id", async (req, res) => {
-  const userId = "demouser"; // Using demo user
-  const { question, assistantResponse } = req.body;
+// GET: Export a single chat as Markdown, JSON or PDF
+app.get("/api/chats/:id/export", auditEvent("chat.export", "chat"), requireChatOwner, async (req, res) => {
+  const { userId } = req.auth;
+  const format = req.query.format || "md";
 
-  try {
-    const newItems = [
-      { role: "user", content: question },
-      { role: "assistant", content: assistantResponse },
-    ];
+  if (!isExportFormat(format)) {
+    return res.status(400).json({ message: "Unsupported export format!" });
+  }
 
-    const updatedChat = await Chat.updateOne(
-      { _id: new ObjectId(req.params.id), userId },
-      {
-        $push: {
-          history: { $each: newItems },
-        },
-      }
-    );
-    res.status(200).send(updatedChat);
+  try {
+    const { titles } = await loadChatTitles(userId);
+    const data = buildChatExport(req.chat, titles.get(String(req.chat._id)));
+    res.locals.audit = { details: { format } };
+    const body = await renderChatExport(data, format);
+
+    res.set("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.set("Content-Disposition", `attachment; filename="${exportFileName(data, format)}"`);
+    res.status(200).send(body);
   } catch (err) {
-    console.error("Error updating chat", err);
-    res.status(500).send("Error updating chat!");
+    console.error("Error exporting chat", err);
+    res.status(500).json({ message: "Error exporting chat!" });
   }
 });
 
-app.delete("/api/chats/:id", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+// PUT: Former way to append a client-supplied answer to a chat
+// Answers are only stored when the server generated them: use POST /api/chats/:id/messages.
+app.put("/api/chats/:id", requireChatOwner, (req, res) => {
+  res.status(410).json({ message: "Chats can no longer be updated with a client-supplied answer; use POST /api/chats/:id/messages" });
+});
+
+app.delete("/api/chats/:id", auditEvent("chat.delete", "chat"), requireChatOwner, async (req, res) => {
+  const { userId } = req.auth;
   const chatId = req.params.id;
 
   try {
@@ -322,7 +602,7 @@ app.delete("/api/chats/:id", async (req, res) => {
     );
 
     // Finally, delete from the Chat collection
-    const deletedChat = await Chat.deleteOne({ _id: chatId });
+    const deletedChat = await Chat.deleteOne({ _id: chatId, userId });
 
     if (deletedChat.deletedCount > 0) {
       res.status(200).json({ message: "Chat deleted successfully!" });
@@ -337,10 +617,11 @@ app.delete("/api/chats/:id", async (req, res) => {
 
 
 // PUT: Rename a chat in UserChats or PinnedChats
-app.put("/api/chats/:id/rename", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+app.put("/api/chats/:id/rename", auditEvent("chat.rename", "chat"), requireChatOwner, async (req, res) => {
+  const { userId } = req.auth;
   const { newTitle } = req.body;
   const chatId = req.params.id;
+  res.locals.audit = { details: { newTitle } };
 
   try {
     let updated = await UserChats.updateOne(
@@ -368,11 +649,23 @@ app.put("/api/chats/:id/rename", async (req, res) => {
 
 
 // POST: Pin a chat
-app.post("/api/pinnedchats", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+app.post("/api/pinnedchats", auditEvent("chat.pin", "chat", (req) => req.body.chatId), async (req, res) => {
+  const { userId } = req.auth;
   const { chatId, title } = req.body;
 
+  if (!mongoose.isValidObjectId(chatId)) {
+    return res.status(404).json({ message: "Chat not found!" });
+  }
+
   try {
+    const chat = await Chat.findById(chatId, { userId: 1 });
+    if (!chat) {
+      return res.status(404).json({ message: "Chat not found!" });
+    }
+    if (chat.userId !== userId) {
+      return res.status(403).json({ message: "You do not have access to this chat!" });
+    }
+
     let pinnedChats = await PinnedChats.findOne({ userId });
     if (!pinnedChats) {
       pinnedChats = new PinnedChats({ userId, pinnedChats: [] });
@@ -400,8 +693,8 @@ app.post("/api/pinnedchats", async (req, res) => {
 });
 
 //// Delete: Unpin a chat
-app.delete("/api/pinnedchats/:chatId", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+app.delete("/api/pinnedchats/:chatId", auditEvent("chat.unpin", "chat", (req) => req.params.chatId), requireOwnership(Chat, { param: "chatId", key: "chat" }), async (req, res) => {
+  const { userId } = req.auth;
   const { chatId } = req.params;
 
   try {
@@ -437,7 +730,7 @@ app.delete("/api/pinnedchats/:chatId", async (req, res) => {
 
 // GET: Fetch pinned chats
 app.get("/api/pinnedchats", async (req, res) => {
-  const userId = "demouser"; // Using demo user
+  const { userId } = req.auth;
 
   try {
     const pinnedChats = await PinnedChats.findOne({ userId });
@@ -457,236 +750,1634 @@ app.get("/", (req, res) => {
 
 // Start the server
 app.listen(port, () => {
-  connect();
+  connect()
+    .then(() => ensureUsageIndexes().catch((err) => console.error("❌ Error building usage counter indexes:", err)))
+    .then(seedDataSources)
+    .catch((err) => console.error("❌ Error seeding data sources:", err));
+
+  // Only Bedrock indexes through ingestion jobs; the local retriever indexes inline
+  if (retriever.kind === "bedrock") {
+    startIngestionStatusPoller();
+    startIngestionScheduler();
+  }
+  startPendingUploadCleanup();
+  startInterruptedBatchCleanup();
   console.log(`Server running on port ${port}`);
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).send("Internal Server Error");
-});
 
+//The following are for documents handling
 
+// Resolve the data source named by req.body.dataSource, or the default one.
+// Sends a 400/404/403 and returns undefined when the caller cannot upload there; returns
+// null when no data sources are registered (uploads then use the environment defaults).
+const resolveUploadDataSource = async (req, res) => {
+  const { dataSource: slug } = req.body;
 
-//The following are for documents handling
+  if (!slug) {
+    return getDefaultDataSource();
+  }
+  if (typeof slug !== "string") {
+    res.status(400).json({ message: "dataSource must be a data source slug" });
+    return undefined;
+  }
+
+  const dataSource = await DataSource.findOne({ slug });
+  if (!dataSource) {
+    res.status(404).json({ message: `Data source not found: ${slug}` });
+    return undefined;
+  }
+  if (!canUseDataSource(dataSource, req.auth.userId)) {
+    res.status(403).json({ message: "You do not have access to this data source!" });
+    return undefined;
+  }
 
-// Set up Multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+  return dataSource;
+};
+
+// Loads req.document for /api/documents/:id routes, answering 404/403 for missing or foreign documents
+const requireDocumentOwner = requireOwnership(Document, { key: "document" });
+
+// requireDocumentOwner for routes that read the file: a pending direct upload has none yet
+const requireUploadedDocument = [
+  requireDocumentOwner,
+  (req, res, next) =>
+    req.document.uploadStatus === "pending" ? res.status(404).json({ message: "Document not found!" }) : next(),
+];
 
-// POST: Upload a document (Now stores in AWS S3)
-app.post("/api/documents/upload", upload.single("file"), async (req, res) => {
-  const { userId } = req.body;
+// POST: Upload a document (stored in S3, or on local disk with STORAGE_DRIVER=local)
+// An optional `dataSource` form field (a data source slug) picks where it is indexed.
+// Optional `tags` (JSON array or comma-separated) and `metadata` (JSON: product, region,
+// effectiveDate, confidentiality) fields make the document filterable in retrieval.
+// The file must be an allowed type whose bytes match its extension, within the size limit,
+// and pass the upload scanner if one is configured.
+app.post("/api/documents/upload", auditEvent("document.upload", "document"), acceptUpload("file"), async (req, res) => {
+  const { userId } = req.auth;
 
   if (!req.file) {
     return res.status(400).json({ message: "No file uploaded" });
   }
 
+  const checked = validateUpload(req.file);
+  if (checked.status) {
+    return res.status(checked.status).json({ message: checked.message });
+  }
+  const { fileName, contentType } = checked;
+
+  const described = parseDocumentMetadata(req.body);
+  if (described.error) {
+    return res.status(400).json({ message: described.error });
+  }
+
   try {
-    const fileUrl = await uploadFileToS3(req.file.buffer, req.file.originalname, req.file.mimetype);
+    const dataSource = await resolveUploadDataSource(req, res);
+    if (dataSource === undefined) return;
+
+    const rejected = await scanUpload({ buffer: req.file.buffer, fileName, contentType, userId });
+    if (rejected) {
+      res.locals.audit = { details: { fileName, reason: rejected.message } };
+      return res.status(rejected.status).json({ message: rejected.message });
+    }
+
+    const { key, url, bucket } = await uploadDocumentFile(req.file.buffer, fileName, contentType, dataSource);
 
     const newDocument = new Document({
       userId,
-      fileName: req.file.originalname,
-      fileUrl,
-      contentType: req.file.mimetype,
+      fileName,
+      fileUrl: url,
+      objectKey: key,
+      bucket,
+      contentType,
+      size: req.file.size,
+      dataSource: dataSource?._id || null,
+      tags: described.tags,
+      metadata: described.metadata,
     });
 
     const savedDocument = await newDocument.save();
-    res.status(201).json(savedDocument);
+    res.locals.audit = { targetId: savedDocument._id, details: { fileName: savedDocument.fileName, dataSource: dataSource?.slug } };
+
+    // Flag files the knowledge base will find nothing in (e.g. scanned PDFs)
+    const { hasExtractableText, pageCount, characterCount, error } = await cacheDocumentText(savedDocument, req.file.buffer);
+
+    // Sync with the knowledge base, with the metadata sidecar in place first
+    if (hasDocumentMetadata(savedDocument)) {
+      await writeMetadataSidecar(savedDocument);
+    }
+    await triggerIndexing(savedDocument, dataSource);
+
+    res.status(201).json({
+      ...savedDocument.toObject(),
+      hasExtractableText,
+      textContent: { pageCount, characterCount, error },
+      warning: hasExtractableText
+        ? undefined
+        : "No text could be extracted from this file (it may be a scanned image), so it cannot be used to answer questions.",
+    });
   } catch (err) {
     console.error("❌ Error uploading document:", err);
     res.status(500).json({ message: "Error uploading document", error: err.message });
   }
 });
 
-// GET: Fetch all documents for a user
-app.get("/api/documents", async (req, res) => {
-  const { userId } = req.query;
+// POST: Start a direct upload, for files too large to send through the API
+// Body: { fileName, size (bytes), dataSource?, multipart?, tags?, metadata? }. Creates a pending document and returns
+// either one presigned PUT URL or, for large files on S3, a presigned URL per part. The client
+// uploads straight to a staging area (see stagingLocation) and then calls
+// POST /api/documents/uploads/:id/complete, which moves the checked file to its data source.
+// The bucket's CORS rules must allow PUT from the frontend and expose the ETag header.
+app.post("/api/documents/uploads", auditEvent("document.upload-start", "document"), limitUploads, async (req, res) => {
+  const { userId } = req.auth;
+  const { fileName: requestedName, size, multipart } = req.body;
+
+  if (typeof requestedName !== "string" || !requestedName || !Number.isInteger(size)) {
+    return res.status(400).json({ message: "fileName and size (in bytes) are required" });
+  }
+  if (multipart !== undefined && typeof multipart !== "boolean") {
+    return res.status(400).json({ message: "multipart must be true or false" });
+  }
 
-  try {
-    const documents = await Document.find({ userId });
-    res.status(200).json(documents);
-  } catch (err) {
-    res.status(500).json({ message: "Error fetching documents", error: err.message });
+  const described = parseDocumentMetadata(req.body);
+  if (described.error) {
+    return res.status(400).json({ message: described.error });
   }
-});
 
+  try {
+    // The content itself is checked once it has arrived
+    const checked = validateUpload({ originalname: requestedName, size }, { maxBytes: MAX_DIRECT_UPLOAD_BYTES });
+    if (checked.status) {
+      return res.status(checked.status).json({ message: checked.message });
+    }
+    const { fileName, contentType } = checked;
 
-// GET: Fetch a single document (Fetches from S3)
-app.get("/api/documents/:id", async (req, res) => {
-  const { id } = req.params;
+    const dataSource = await resolveUploadDataSource(req, res);
+    if (dataSource === undefined) return;
 
-  try {
-    const document = await Document.findById(id);
-    if (!document) {
-      return res.status(404).json({ message: "Document not found!" });
+    const target = storageForBucket(dataSource?.bucket);
+    const staging = stagingLocation(fileName);
+    const plan = planUpload(size, { multipart });
+    if (plan.multipart && !staging.target.createMultipartUpload) {
+      return res.status(400).json({ message: `Multipart uploads are not supported by ${staging.target.driver} storage` });
     }
 
-    const params = {
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: document.fileUrl.split("/").pop(),
-    };
+    const key = documentObjectKey(fileName, dataSource);
+    const document = await Document.create({
+      userId,
+      fileName,
+      fileUrl: target.objectUrl(key),
+      objectKey: key,
+      bucket: target.bucket || null,
+      contentType,
+      size,
+      dataSource: dataSource?._id || null,
+      tags: described.tags,
+      metadata: described.metadata,
+      stagingKey: staging.key,
+      stagingBucket: staging.bucket,
+      uploadStatus: "pending",
+      uploadExpiresAt: pendingUploadExpiry(),
+    });
+    res.locals.audit = { targetId: document._id, details: { fileName, size, multipart: plan.multipart, dataSource: dataSource?.slug } };
+
+    const expiresAt = new Date(Date.now() + UPLOAD_URL_EXPIRES_IN * 1000);
+
+    if (plan.multipart) {
+      document.multipartUploadId = await staging.target.createMultipartUpload(staging.key, contentType);
+      await document.save();
 
-    const command = new GetObjectCommand(params);
-    const signedUrl = await getSignedUrl(s3, command, { expiresIn: 3600 }); // URL valid for 1 hour
+      const parts = await Promise.all(
+        Array.from({ length: plan.partCount }, async (_, index) => ({
+          partNumber: index + 1,
+          url: await staging.target.getSignedPartUrl(staging.key, document.multipartUploadId, index + 1, {
+            expiresIn: UPLOAD_URL_EXPIRES_IN,
+          }),
+        }))
+      );
+      return res.status(201).json({ documentId: document._id, multipart: true, partSize: plan.partSize, parts, expiresAt });
+    }
 
-    res.json({ fileUrl: signedUrl });
+    const uploadUrl = await staging.target.getSignedUploadUrl(staging.key, { contentType, expiresIn: UPLOAD_URL_EXPIRES_IN });
+    res.status(201).json({
+      documentId: document._id,
+      multipart: false,
+      uploadUrl,
+      method: "PUT",
+      headers: { "Content-Type": contentType },
+      expiresAt,
+    });
   } catch (err) {
-    res.status(500).json({ message: "Error fetching document", error: err.message });
+    console.error("❌ Error starting direct upload:", err);
+    res.status(500).json({ message: "Error starting upload", error: err.message });
   }
 });
 
+// POST: Finish a direct upload
+// Body: { parts: [{ partNumber, etag }] } for multipart uploads. Checks the staged object's size,
+// type and content and runs the upload scanner. Only then is the file copied to its final key and
+// indexed. Rejected files are deleted.
+app.post("/api/documents/uploads/:id/complete", auditEvent("document.upload", "document"), requireDocumentOwner, async (req, res) => {
+  const { userId } = req.auth;
+  const { document } = req;
 
+  if (document.uploadStatus !== "pending") {
+    return res.status(409).json({ message: "This upload has already been completed" });
+  }
 
-// DELETE: Remove a document (Deletes from S3 and MongoDB)
-app.delete("/api/documents/:id", async (req, res) => {
-  const { id } = req.params;
+  const { target, key } = stagedObject(document);
+  res.locals.audit = { details: { fileName: document.fileName, via: "direct" } };
+
+  // Refuse the file for good (4xx) or just this attempt (5xx, e.g. the scanner is down)
+  const reject = async ({ status, message }) => {
+    res.locals.audit.details.reason = message;
+    if (status < 500) await discardPendingUpload(document);
+    return res.status(status).json({ message });
+  };
 
   try {
-    const document = await Document.findById(id);
-    if (!document) {
-      return res.status(404).json({ message: "Document not found!" });
+    if (document.multipartUploadId) {
+      const { parts } = req.body;
+      if (!Array.isArray(parts) || !parts.length || parts.some((part) => !Number.isInteger(part.partNumber) || !part.etag)) {
+        return res.status(400).json({ message: "parts ([{ partNumber, etag }]) are required for a multipart upload" });
+      }
+
+      try {
+        await target.completeMultipartUpload(key, document.multipartUploadId, parts);
+      } catch (err) {
+        // Already completed by an earlier attempt that failed later on
+        if (err.name !== "NoSuchUpload") throw err;
+      }
     }
 
-    const fileKey = document.fileUrl.split("/").pop(); // Extract filename from S3 URL
+    const stored = await target.head(key);
+    if (!stored) {
+      return res.status(409).json({ message: "The file has not been uploaded yet" });
+    }
+    if (stored.size !== document.size) {
+      return reject({ status: 400, message: `Uploaded ${stored.size} bytes but ${document.size} were announced` });
+    }
 
-    // Delete file from S3
-    const deleteParams = {
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: fileKey,
-    };
-    await s3.send(new DeleteObjectCommand(deleteParams));
-    console.log(`✅ File deleted from S3: ${fileKey}`);
+    const checked = validateUpload(
+      { originalname: document.fileName, size: stored.size, buffer: await target.peek(key) },
+      { maxBytes: MAX_DIRECT_UPLOAD_BYTES }
+    );
+    if (checked.status) return reject(checked);
 
-    // Remove document from MongoDB
-    await Document.findByIdAndDelete(id);
+    const scanRejection = await scanUpload({
+      fileName: document.fileName,
+      contentType: document.contentType,
+      userId,
+      bucket: target.bucket || null,
+      key,
+    });
+    if (scanRejection) return reject(scanRejection);
+
+    await promoteStagedUpload(document);
+
+    const completed = await Document.findOneAndUpdate(
+      { _id: document._id, uploadStatus: "pending" },
+      {
+        $set: {
+          uploadStatus: "complete",
+          stagingKey: null,
+          stagingBucket: null,
+          multipartUploadId: null,
+          uploadExpiresAt: null,
+          uploadedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!completed) {
+      return res.status(409).json({ message: "This upload has already been completed" });
+    }
+    if (document.stagingKey) {
+      await target.purge(key).catch((err) => console.error(`❌ Error removing staged upload ${key}:`, err));
+    }
+
+    if (hasDocumentMetadata(completed)) {
+      await writeMetadataSidecar(completed);
+    }
+    const savedDocument = await triggerIndexing(completed, await DataSource.findById(completed.dataSource));
 
-    // Trigger re-ingestion in Bedrock
-    await triggerBedrockReIngestion();
+    // Files the API could have buffered itself are read back for text extraction in the background;
+    // larger ones are extracted when their text is first requested (GET /api/documents/:id/text)
+    if (!(savedDocument.size > BACKGROUND_EXTRACTION_MAX_BYTES)) {
+      loadDocumentText(savedDocument).catch((err) => console.error("❌ Error extracting text after upload:", err));
+    }
 
-    res.status(200).json({ message: "Document deleted and Bedrock Knowledge Base updated!" });
+    res.status(200).json(savedDocument);
   } catch (err) {
-    console.error("Error deleting document:", err);
-    res.status(500).json({ message: "Error deleting document", error: err.message });
+    console.error("❌ Error completing direct upload:", err);
+    res.status(500).json({ message: "Error completing upload", error: err.message });
   }
 });
 
+// Store every file of a bulk upload, then index the accepted ones together.
+// Each file's outcome is written to the batch as soon as it is known, so clients can poll progress.
+const processUploadBatch = async (batch, uploads, dataSource, described = {}) => {
+  const { files, rejected } = expandUploads(uploads);
+  await UploadBatch.updateOne(
+    { _id: batch._id },
+    {
+      $set: { totalFiles: files.length + rejected.length },
+      $push: { files: { $each: rejected.map((file) => ({ ...file, status: "rejected" })) } },
+    }
+  );
+
+  const documents = [];
+  for (const file of files) {
+    const result = { fileName: file.originalname, archive: file.archive };
+
+    try {
+      const checked = validateUpload(file);
+      const rejection = checked.status
+        ? checked
+        : await scanUpload({ buffer: file.buffer, fileName: checked.fileName, contentType: checked.contentType, userId: batch.userId });
+
+      if (rejection) {
+        Object.assign(result, { status: "rejected", reason: rejection.message });
+      } else {
+        const { key, url, bucket } = await uploadDocumentFile(file.buffer, checked.fileName, checked.contentType, dataSource);
+        const document = await Document.create({
+          userId: batch.userId,
+          fileName: checked.fileName,
+          fileUrl: url,
+          objectKey: key,
+          bucket,
+          contentType: checked.contentType,
+          size: file.size,
+          dataSource: dataSource?._id || null,
+          tags: described.tags,
+          metadata: described.metadata,
+        });
+        await cacheDocumentText(document, file.buffer);
+        if (hasDocumentMetadata(document)) {
+          await writeMetadataSidecar(document);
+        }
 
-//Bedrock Chat APIs
+        documents.push(document);
+        Object.assign(result, { fileName: checked.fileName, status: "accepted", documentId: document._id });
+      }
+    } catch (err) {
+      console.error(`❌ Error storing ${file.originalname} from batch ${batch._id}:`, err);
+      Object.assign(result, { status: "rejected", reason: `Could not store file: ${err.message}` });
+    }
 
-// Store chat history per user
-const userSessions = {};
+    await UploadBatch.updateOne({ _id: batch._id }, { $push: { files: result } });
+  }
 
-// ✅ Retrieve & Generate Response
-app.post("/api/retrieve-and-generate", async (req, res) => {
-  const { userId, query } = req.body;
+  if (documents.length) {
+    await triggerBatchIndexing(documents, dataSource);
+  }
+  await UploadBatch.updateOne({ _id: batch._id }, { $set: { status: "complete", completedAt: new Date() } });
+  console.log(`✅ Upload batch ${batch._id}: ${documents.length}/${files.length + rejected.length} file(s) accepted`);
+};
 
-  try {
-    if (!userSessions[userId]) {
-      userSessions[userId] = [];
-    }
+// POST: Upload many documents at once (form field "files"; may include ZIP archives)
+// Optional `dataSource`, `tags` and `metadata` form fields apply to every file. Files are processed in the
+// background: the response carries a batch id to poll with GET /api/documents/batches/:id.
+// Batches are capped in file count and total bytes (UPLOAD_MAX_BATCH_FILES/UPLOAD_MAX_BATCH_BYTES) and rate limited per user.
+// Processing only lives in this process's memory: a batch interrupted by a restart is marked failed
+// on startup (see startInterruptedBatchCleanup) and its remaining files must be uploaded again.
+// Serverless hosts such as Vercel stop work once the response is sent, so there (VERCEL is set)
+// the batch is processed before replying and the response already carries its final status.
+app.post("/api/documents/batches", auditEvent("document.upload-batch", "document"), limitUploads, acceptUploads("files"), async (req, res) => {
+  const { userId } = req.auth;
+
+  if (!req.files?.length) {
+    return res.status(400).json({ message: "No files uploaded" });
+  }
 
-    const chatHistory = userSessions[userId];
-    const conversationContext = chatHistory.slice(-5).join("\n");
+  const described = parseDocumentMetadata(req.body);
+  if (described.error) {
+    return res.status(400).json({ message: described.error });
+  }
 
-    userSessions[userId].push(`User: ${query}`);
+  try {
+    const dataSource = await resolveUploadDataSource(req, res);
+    if (dataSource === undefined) return;
+
+    const batch = await UploadBatch.create({ userId, dataSource: dataSource?._id || null, totalFiles: req.files.length });
+    res.locals.audit = { details: { batchId: batch._id, files: req.files.map((file) => file.originalname) } };
+
+    const processing = processUploadBatch(batch, req.files, dataSource, described).catch(async (err) => {
+      console.error(`❌ Error processing upload batch ${batch._id}:`, err);
+      await UploadBatch.updateOne(
+        { _id: batch._id },
+        { $set: { status: "failed", error: err.message, completedAt: new Date() } }
+      ).catch((updateErr) => console.error(`❌ Error marking upload batch ${batch._id} failed:`, updateErr));
+    });
 
-    const response = await bedrockAgentRuntimeClient.send(
-      new RetrieveAndGenerateCommand({
-        input: { text: `Context: ${conversationContext}\nUser: ${query}` },
-        retrieveAndGenerateConfiguration: {
-          type: "KNOWLEDGE_BASE",
-          knowledgeBaseConfiguration: {
-            knowledgeBaseId: process.env.KNOWLEDGE_BASE_ID,
-            modelArn: process.env.MODEL_ARN,
-          },
-        },
-        sessionConfiguration: {
-          kmsKeyArn: process.env.KMS_KEY_ARN,
-        },
-      })
-    );
+    if (process.env.VERCEL) {
+      await processing;
+      const processed = (await UploadBatch.findById(batch._id)) || batch;
+      return res.status(200).json({ batchId: batch._id, status: processed.status, totalFiles: processed.totalFiles });
+    }
+    res.status(202).json({ batchId: batch._id, status: batch.status, totalFiles: batch.totalFiles });
+  } catch (err) {
+    console.error("❌ Error starting upload batch:", err);
+    res.status(500).json({ message: "Error starting upload batch", error: err.message });
+  }
+});
 
-    const generatedText = response.output?.text || "No response generated.";
-    console.log(`✅ User ${userId}: Retrieved & Generated Response: ${generatedText}`);
+// GET: Progress of a bulk upload
+// Lists every file's outcome with the indexing status of accepted ones, plus totals.
+app.get("/api/documents/batches/:id", requireOwnership(UploadBatch, { key: "batch" }), async (req, res) => {
+  const batch = req.batch.toObject();
 
-    userSessions[userId].push(`Bot: ${generatedText}`);
+  try {
+    const documentIds = batch.files.map((file) => file.documentId).filter(Boolean);
+    const documents = await Document.find(
+      { _id: { $in: documentIds } },
+      { indexingStatus: 1, indexingError: 1, hasExtractableText: 1 }
+    );
+    const byId = new Map(documents.map((document) => [String(document._id), document]));
+
+    const indexing = { pending: 0, "in-progress": 0, complete: 0, failed: 0 };
+    const files = batch.files.map((file) => {
+      const document = file.documentId && byId.get(String(file.documentId));
+      if (document) indexing[document.indexingStatus]++;
+
+      return {
+        ...file,
+        indexingStatus: document?.indexingStatus || null,
+        indexingError: document?.indexingError || null,
+        hasExtractableText: document?.hasExtractableText ?? null,
+      };
+    });
 
-    res.json({ response: generatedText });
-  } catch (error) {
-    console.error("❌ Error retrieving from Knowledge Base:", error);
-    res.status(500).json({ error: "Error retrieving from Knowledge Base" });
+    res.status(200).json({
+      ...batch,
+      files,
+      progress: {
+        processed: files.length,
+        total: batch.totalFiles,
+        accepted: files.filter((file) => file.status === "accepted").length,
+        rejected: files.filter((file) => file.status === "rejected").length,
+        indexing,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error fetching upload batch:", err);
+    res.status(500).json({ message: "Error fetching upload batch", error: err.message });
   }
 });
 
+// GET: Fetch all documents for a user, optionally only those in one data source (?dataSource=slug)
+// and/or with a given tag (?tag=rates)
+app.get("/api/documents", async (req, res) => {
+  const { userId } = req.auth;
+  const { dataSource: slug, tag } = req.query;
 
-// Handling Instant Lookup
+  if ((slug && typeof slug !== "string") || (tag && typeof tag !== "string")) {
+    return res.status(400).json({ message: "dataSource and tag must each be given once" });
+  }
 
-//  Function to fetch response based on selected data source
-const fetchInstantResponse = async (query, dataSource) => {
   try {
-    const dataSources = {
-      "amp-data-pipgpt": process.env.DATA_SOURCE_ONE_ID, // AMP Bank Data
-      "amp-test-data-2": process.env.DATA_SOURCE_TWO_ID, // DSA Books
-    };
+    const filter = { userId, uploadStatus: { $ne: "pending" } };
+    if (tag) {
+      filter.tags = tag.toLowerCase();
+    }
+    if (slug) {
+      const dataSource = await DataSource.findOne({ slug });
+      if (!dataSource) {
+        return res.status(200).json([]);
+      }
+      filter.dataSource = dataSource._id;
+    }
 
-    const dataSourceId = dataSources[dataSource];
+    const documents = await Document.find(filter).populate("dataSource", "slug displayName");
+    res.status(200).json(documents);
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching documents", error: err.message });
+  }
+});
 
-    if (!dataSourceId) {
-      throw new Error(`Invalid data source: ${dataSource}`);
-    }
 
+// GET: Fetch a single document with a signed link from the storage backend,
+// plus its summary, topics and suggested questions once they have been generated
+app.get("/api/documents/:id", auditEvent("document.download", "document"), requireUploadedDocument, async (req, res) => {
+  const { document } = req;
 
-    const response = await bedrockAgentRuntimeClient.send(
-      new RetrieveAndGenerateCommand({
-        input: { text: `User query: ${query}` },
-        retrieveAndGenerateConfiguration: {
-          type: "KNOWLEDGE_BASE",
-          knowledgeBaseConfiguration: {
-            knowledgeBaseId: process.env.KNOWLEDGE_BASE_ID,
-            dataSourceId: dataSourceId, 
-            modelArn: process.env.MODEL_ARN,
-          },
-        },
-        sessionConfiguration: {
-          kmsKeyArn: process.env.KMS_KEY_ARN,
-        },
-      })
-    );
+  try {
+    const signedUrl = await documentStorage(document).getSignedUrl(documentKey(document), {
+      expiresIn: 3600, // URL valid for 1 hour
+      fileName: document.fileName,
+    });
 
-    return response.output?.text || "No response generated.";
-  } catch (error) {
-    console.error("❌ Error fetching instant response:", error);
-    return "Error retrieving response.";
+    res.locals.audit = { details: { fileName: document.fileName, via: "signed-url" } };
+    res.json({ ...document.toObject(), fileUrl: signedUrl });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching document", error: err.message });
   }
-};
+});
 
+// GET: Download a document's file through the API
+app.get("/api/documents/:id/download", auditEvent("document.download", "document"), requireUploadedDocument, async (req, res) => {
+  const { document } = req;
 
+  try {
+    const { body } = await documentStorage(document).get(documentKey(document));
 
+    res.locals.audit = { details: { fileName: document.fileName, via: "api" } };
+    res.set("Content-Type", document.contentType);
+    res.attachment(document.fileName);
+    res.send(body);
+  } catch (err) {
+    console.error("❌ Error downloading document:", err);
+    res.status(500).json({ message: "Error downloading document", error: err.message });
+  }
+});
 
-// Api for Instant Lookup
 
-app.post("/api/instant-lookup", async (req, res) => {
-  const { query, dataSource } = req.body;
 
-  if (!query || !dataSource) {
-    return res.status(400).json({ error: "Query and Data Source are required" });
-  }
+// Fields reset when a document's file changes: it is re-indexed and re-summarised from scratch
+const REPLACED_FILE_RESET = {
+  ingestionJobId: null,
+  indexingStatus: "pending",
+  indexingError: null,
+  indexedAt: null,
+  hasExtractableText: null,
+  summary: null,
+  topics: [],
+  suggestedQuestions: [],
+  summaryStatus: null,
+  summaryError: null,
+  summaryModel: null,
+  summarizedAt: null,
+};
 
+// A replacement that has not finished by then (e.g. the process died) no longer blocks others
+const REPLACE_LEASE_MS = 5 * 60 * 1000;
+
+// Replace a document's file in place, keeping the current file as an earlier version.
+// `writeFile(target, key)` puts the new content at the document's key and `fields` describe it.
+// The key never changes, so the knowledge base re-ingests one object instead of gaining a
+// conflicting copy. The new version is claimed in MongoDB before anything is written, so of
+// two racing changes only the winner touches storage; if writing fails the claim is undone.
+// Returns the re-indexed document, or null if another change got there first.
+const replaceDocumentFile = async (document, fields, writeFile) => {
+  const target = documentStorage(document);
+  const key = documentKey(document);
+  const now = new Date();
+  const nextVersion = document.version + 1;
+
+  const claimed = await Document.findOneAndUpdate(
+    {
+      _id: document._id,
+      // Records from before versioning have no version field
+      version: document.version > 1 ? document.version : { $in: [1, null] },
+      $or: [{ replacingUntil: null }, { replacingUntil: { $lt: now } }],
+    },
+    {
+      $set: {
+        ...fields,
+        ...REPLACED_FILE_RESET,
+        version: nextVersion,
+        uploadedAt: now,
+        replacingUntil: new Date(now.getTime() + REPLACE_LEASE_MS),
+      },
+      $unset: { textContent: "" },
+    },
+    { new: false } // The record as it was, with its extracted text, to put back if the write fails
+  ).select("+textContent.pages");
+  if (!claimed) return null;
+
+  let versionRef;
   try {
-    const response = await fetchInstantResponse(query, dataSource);
-    
-    // Ensure we always send a valid JSON response
-    res.json({ response: response || "No response generated." });
-
-  } catch (error) {
-    console.error("❌ Error in instant lookup:", error);
-    res.status(500).json({ error: "Failed to retrieve response." });
+    versionRef = await target.keepVersion(key);
+    await writeFile(target, key);
+  } catch (err) {
+    // Put back what storage still holds, including the old file's extracted text
+    const previous = Object.keys({ ...fields, ...REPLACED_FILE_RESET, uploadedAt: null }).map((field) => [field, document.get(field)]);
+    const { textContent } = claimed.toObject();
+    await Document.updateOne(
+      { _id: document._id, version: nextVersion },
+      {
+        $set: {
+          ...Object.fromEntries(previous),
+          ...(textContent && { textContent }),
+          version: document.version,
+          replacingUntil: null,
+        },
+      }
+    );
+    throw err;
   }
-});
 
+  const updated = await Document.findOneAndUpdate(
+    { _id: document._id, version: nextVersion },
+    {
+      $set: { replacingUntil: null },
+      $push: {
+        versions: {
+          version: document.version,
+          versionRef,
+          fileName: document.fileName,
+          contentType: document.contentType,
+          size: document.size,
+          uploadedAt: document.uploadedAt,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  return triggerIndexing(updated, await DataSource.findById(updated.dataSource));
+};
+
+// Answer for storage that cannot keep earlier versions
+const versioningUnavailable = (res) =>
+  res.status(501).json({ message: "Document versioning is not available: enable versioning on the storage bucket" });
 
+// PUT: Upload a new version of a document (form field "file", same file type as the original)
+// The previous file is kept and can be restored from GET /api/documents/:id/versions.
+app.put("/api/documents/:id", auditEvent("document.replace", "document"), requireDocumentOwner, acceptUpload("file"), async (req, res) => {
+  const { userId } = req.auth;
+  const { document } = req;
 
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
\ No newline at end of file
+  if (!req.file) {
+    return res.status(400).json({ message: "No file uploaded" });
+  }
+  if (document.uploadStatus === "pending") {
+    return res.status(409).json({ message: "The document's upload has not been completed" });
+  }
+
+  const checked = validateUpload(req.file);
+  if (checked.status) {
+    return res.status(checked.status).json({ message: checked.message });
+  }
+  const { fileName, contentType, extension } = checked;
+
+  // The stored key keeps the original extension, which tells the knowledge base how to parse it
+  const originalExtension = path.extname(documentKey(document)).slice(1).toLowerCase();
+  if (originalExtension && extension !== originalExtension) {
+    return res.status(415).json({ message: `A new version must be a .${originalExtension} file like the original` });
+  }
+  res.locals.audit = { details: { fileName, previousVersion: document.version } };
+
+  try {
+    const rejected = await scanUpload({ buffer: req.file.buffer, fileName, contentType, userId });
+    if (rejected) {
+      res.locals.audit.details.reason = rejected.message;
+      return res.status(rejected.status).json({ message: rejected.message });
+    }
+
+    const updated = await replaceDocumentFile(document, { fileName, contentType, size: req.file.size }, (target, key) =>
+      target.put(key, req.file.buffer, contentType)
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "The document was changed by another request, please reload it" });
+    }
+
+    const { hasExtractableText } = await cacheDocumentText(updated, req.file.buffer);
+    res.status(200).json({ ...updated.toObject(), hasExtractableText });
+  } catch (err) {
+    if (err.code === "VERSIONING_DISABLED") return versioningUnavailable(res);
+    console.error("❌ Error replacing document:", err);
+    res.status(500).json({ message: "Error replacing document", error: err.message });
+  }
+});
+
+// GET: Every version of a document, newest first, with short-lived download links
+app.get("/api/documents/:id/versions", auditEvent("document.download", "document"), requireUploadedDocument, async (req, res) => {
+  const { document } = req;
+  const target = documentStorage(document);
+  const key = documentKey(document);
+
+  try {
+    const current = {
+      version: document.version,
+      fileName: document.fileName,
+      contentType: document.contentType,
+      size: document.size,
+      uploadedAt: document.uploadedAt,
+      current: true,
+      downloadUrl: await target.getSignedUrl(key, { expiresIn: 3600, fileName: document.fileName }),
+    };
+    const earlier = await Promise.all(
+      [...document.versions].reverse().map(async ({ version, versionRef, fileName, contentType, size, uploadedAt, replacedAt }) => ({
+        version,
+        fileName,
+        contentType,
+        size,
+        uploadedAt,
+        replacedAt,
+        current: false,
+        downloadUrl: await target.getSignedUrl(key, { expiresIn: 3600, fileName, versionRef }),
+      }))
+    );
+
+    res.locals.audit = { details: { fileName: document.fileName, via: "version-links", versions: [current, ...earlier].map(({ version }) => version) } };
+    res.status(200).json([current, ...earlier]);
+  } catch (err) {
+    console.error("❌ Error listing document versions:", err);
+    res.status(500).json({ message: "Error listing document versions", error: err.message });
+  }
+});
+
+// POST: Roll a document back to an earlier version
+// The old file becomes a new version, so the history stays complete and rollbacks can be undone.
+app.post("/api/documents/:id/versions/:version/restore", auditEvent("document.rollback", "document"), requireUploadedDocument, async (req, res) => {
+  const { document } = req;
+  const previous = document.versions.find((entry) => entry.version === Number(req.params.version));
+
+  if (!previous) {
+    return res.status(404).json({ message: "Version not found!" });
+  }
+  res.locals.audit = { details: { restoredVersion: previous.version, previousVersion: document.version } };
+
+  try {
+    const updated = await replaceDocumentFile(
+      document,
+      { fileName: previous.fileName, contentType: previous.contentType, size: previous.size },
+      (target, key) => target.restoreVersion(key, previous.versionRef)
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "The document was changed by another request, please reload it" });
+    }
+
+    // Re-extract the restored file's text in the background, unless it is a large direct upload
+    if (!(updated.size > BACKGROUND_EXTRACTION_MAX_BYTES)) {
+      loadDocumentText(updated).catch((err) => console.error("❌ Error extracting text after rollback:", err));
+    }
+
+    res.status(200).json(updated);
+  } catch (err) {
+    if (err.code === "VERSIONING_DISABLED") return versioningUnavailable(res);
+    console.error("❌ Error restoring document version:", err);
+    res.status(500).json({ message: "Error restoring document version", error: err.message });
+  }
+});
+
+// GET: Text extracted from a document, as the knowledge base sees it
+// Returns every page, or just one with ?page=N (1-based).
+app.get("/api/documents/:id/text", auditEvent("document.text", "document"), requireUploadedDocument, async (req, res) => {
+  const { document } = req;
+  const page = req.query.page ? Number(req.query.page) : null;
+
+  try {
+    const text = await loadDocumentText(document);
+    if (text.error) {
+      return res.status(422).json({ message: "Could not extract text from this document", error: text.error });
+    }
+    if (page !== null && (!Number.isInteger(page) || page < 1 || page > text.pageCount)) {
+      return res.status(400).json({ message: `Page must be between 1 and ${text.pageCount}` });
+    }
+
+    const pages = text.pages.map((content, index) => ({ page: index + 1, text: content }));
+    res.status(200).json({
+      documentId: document._id,
+      fileName: document.fileName,
+      pageCount: text.pageCount,
+      characterCount: text.characterCount,
+      hasExtractableText: text.hasExtractableText,
+      pages: page ? [pages[page - 1]] : pages,
+    });
+  } catch (err) {
+    console.error("❌ Error extracting document text:", err);
+    res.status(500).json({ message: "Error extracting document text", error: err.message });
+  }
+});
+
+// POST: Regenerate a document's summary, topics and suggested questions
+app.post("/api/documents/:id/summarize", requireUploadedDocument, limitGeneration, async (req, res) => {
+  const { document } = req;
+
+  if (document.indexingStatus !== "complete") {
+    return res.status(409).json({ message: "The document has not finished indexing yet" });
+  }
+
+  try {
+    const { summary, topics, suggestedQuestions, summaryStatus, summaryError, summaryModel, summarizedAt } =
+      await summarizeDocument(document, { force: true });
+
+    res.status(summaryStatus === "complete" ? 200 : 502).json({
+      summary,
+      topics,
+      suggestedQuestions,
+      summaryStatus,
+      summaryError,
+      summaryModel,
+      summarizedAt,
+    });
+  } catch (err) {
+    console.error("❌ Error summarising document:", err);
+    res.status(500).json({ message: "Error summarising document", error: err.message });
+  }
+});
+
+// GET: Indexing status of a document
+// Unfinished jobs are checked with Bedrock on demand rather than waiting for the poller.
+app.get("/api/documents/:id/status", requireDocumentOwner, async (req, res) => {
+  let { document } = req;
+
+  try {
+    if (document.ingestionJobId && ["pending", "in-progress"].includes(document.indexingStatus)) {
+      const dataSource = await DataSource.findById(document.dataSource);
+      await refreshIngestionStatus(document.ingestionJobId, ingestionTarget(dataSource));
+      document = await Document.findById(document._id);
+    }
+
+    const { indexingStatus, indexingError, ingestionJobId, indexedAt } = document;
+    res.status(200).json({ indexingStatus, indexingError, ingestionJobId, indexedAt });
+  } catch (err) {
+    console.error("❌ Error fetching indexing status:", err);
+    res.status(500).json({ message: "Error fetching indexing status", error: err.message });
+  }
+});
+
+
+
+// PATCH: Update a document's tags and metadata
+// Body: { tags?, metadata? }. `tags` replaces the list; `metadata` keys are merged and a key
+// set to null is cleared. The Bedrock sidecar file is rewritten and the document re-ingested
+// so filtered retrieval sees the change.
+app.patch("/api/documents/:id", auditEvent("document.update", "document"), requireDocumentOwner, async (req, res) => {
+  const { document } = req;
+
+  const { tags, metadata, error } = parseDocumentMetadata(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (!tags && !metadata) {
+    return res.status(400).json({ message: "tags or metadata are required" });
+  }
+
+  try {
+    if (tags) document.tags = tags;
+    for (const [key, value] of Object.entries(metadata || {})) {
+      document.metadata[key] = value;
+    }
+    res.locals.audit = { details: { fileName: document.fileName, tags, metadata } };
+
+    // Pending direct uploads get their sidecar when they complete
+    if (document.uploadStatus === "pending") {
+      return res.status(200).json(await document.save());
+    }
+
+    await writeMetadataSidecar(document);
+
+    // The local retriever filters on these fields directly; Bedrock only sees the sidecar after ingestion
+    const saved = retriever.kind === "bedrock"
+      ? await triggerIndexing(document, await DataSource.findById(document.dataSource))
+      : await document.save();
+
+    res.status(200).json(saved);
+  } catch (err) {
+    console.error("❌ Error updating document metadata:", err);
+    res.status(500).json({ message: "Error updating document", error: err.message });
+  }
+});
+
+// DELETE: Remove a document (Deletes from storage and MongoDB)
+app.delete("/api/documents/:id", auditEvent("document.delete", "document"), requireDocumentOwner, async (req, res) => {
+  const { id } = req.params;
+  const { document } = req;
+
+  try {
+    const fileKey = documentKey(document);
+    res.locals.audit = { details: { fileName: document.fileName } };
+
+    // A direct upload that never completed was never indexed
+    if (document.uploadStatus === "pending") {
+      await discardPendingUpload(document);
+      return res.status(200).json({ message: "Upload cancelled!" });
+    }
+
+    // Remove the file for good, with its earlier versions and its metadata sidecar
+    // (a plain delete would only hide them on a versioned bucket)
+    await documentStorage(document).purge(fileKey);
+    await deleteMetadataSidecar(document);
+    console.log(`✅ File deleted from ${storage.driver} storage: ${fileKey}`);
+
+    // Remove document from MongoDB
+    await Document.findByIdAndDelete(id);
+
+    // Trigger re-ingestion of the knowledge base
+    await triggerReIndexing(document, await DataSource.findById(document.dataSource));
+
+    res.status(200).json({ message: "Document deleted and knowledge base update queued!" });
+  } catch (err) {
+    console.error("Error deleting document:", err);
+    res.status(500).json({ message: "Error deleting document", error: err.message });
+  }
+});
+
+
+//Bedrock Chat APIs
+
+// Optional chatId in the body: loads req.chat so the answer continues that conversation
+const withChatContext = requireOwnership(Chat, { param: "chatId", source: "body", key: "chat", optional: true });
+
+// Ask the knowledge base a question in the context of earlier messages
+// `model` optionally selects the provider and model, e.g. "openai:gpt-4o"; `dataSourceIds`
+// (req.dataSourceIds) keeps the answer to data sources the user may access and `filters`
+// (from parseRetrievalFilters) to documents with matching tags and metadata.
+const generateKnowledgeBaseAnswer = async (query, history, { model, dataSourceIds = null, filters = null } = {}) => {
+  const answer = await answerQuestion({
+    query,
+    conversationContext: buildConversationContext(history),
+    model,
+    dataSourceIds,
+    filters,
+  });
+
+  return { ...answer, citations: await attachCitationDocuments(answer.citations) };
+};
+
+// Atomically append messages to one of the user's chats and make the last one the active branch.
+// Returns the updated chat, or null when the chat does not exist.
+const pushChatMessages = (chatId, userId, messages) =>
+  Chat.findOneAndUpdate(
+    { _id: chatId, userId },
+    {
+      $push: { history: { $each: messages } },
+      $set: { updatedAt: Date.now(), activeMessageId: messages[messages.length - 1]._id },
+    },
+    { new: true }
+  );
+
+// Append a question and its answer ({ text, citations, model }) after parentId
+// (the end of the active branch for a new question, the original's parent for an edit).
+// Returns the two saved messages, or null when the chat does not exist.
+const appendChatTurn = async (chatId, userId, question, { text, citations = [], model }, parentId = null) => {
+  const userMessage = { _id: new mongoose.Types.ObjectId(), role: "user", content: question, parentId };
+  const assistantMessage = {
+    _id: new mongoose.Types.ObjectId(),
+    role: "assistant",
+    content: text,
+    citations,
+    model,
+    parentId: userMessage._id,
+  };
+
+  const chat = await pushChatMessages(chatId, userId, [userMessage, assistantMessage]);
+  if (!chat) return null;
+
+  return {
+    userMessage: chat.history.id(userMessage._id),
+    assistantMessage: chat.history.id(assistantMessage._id),
+  };
+};
+
+// ✅ Retrieve & Generate Response
+// Pass chatId to answer in the context of that chat and save the question and answer
+// (with its sources) to it. Optional `filters` ({ tags, product, region, confidentiality,
+// effectiveFrom, effectiveTo }) restrict the answer to matching documents.
+app.post("/api/retrieve-and-generate", withChatContext, withDataSourceScope, checkModelSelection, limitGeneration, async (req, res) => {
+  const { userId } = req.auth;
+  const { query, chatId, model } = req.body;
+
+  if (typeof query !== "string" || !query.trim()) {
+    return res.status(400).json({ error: "Query is required" });
+  }
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const answer = await generateKnowledgeBaseAnswer(query, req.chat ? activeBranch(req.chat) : [], {
+      model,
+      dataSourceIds: req.dataSourceIds,
+      filters,
+    });
+    console.log(`✅ User ${userId}: Retrieved & Generated Response (${answer.model}): ${answer.text}`);
+
+    const turn = chatId ? await appendChatTurn(chatId, userId, query, answer, activeLeafId(req.chat)) : null;
+
+    res.json({
+      response: answer.text,
+      citations: await signCitationLinks(req, answer.citations),
+      model: answer.model,
+      chatId: turn ? chatId : null,
+      messageId: turn?.assistantMessage._id || null,
+    });
+  } catch (error) {
+    console.error("❌ Error retrieving from Knowledge Base:", error);
+    res.status(500).json({ error: "Error retrieving from Knowledge Base" });
+  }
+});
+
+// ✅ Retrieve & Generate Response, streamed over Server-Sent Events
+// Emits "token" events as text arrives, then a single "done" event with the full
+// answer, its citations and (when chatId is given) the id of the saved message.
+// Accepts the same `filters` as the non-streaming endpoint.
+app.post("/api/retrieve-and-generate/stream", withChatContext, withDataSourceScope, checkModelSelection, limitGeneration, async (req, res) => {
+  const { userId } = req.auth;
+  const { query, chatId, model } = req.body;
+
+  if (typeof query !== "string" || !query.trim()) {
+    return res.status(400).json({ error: "Query is required" });
+  }
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop pulling from the knowledge base as soon as the client goes away
+  const abortController = new AbortController();
+  let clientClosed = false;
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      abortController.abort();
+    }
+  });
+
+  try {
+    const stream = streamAnswer({
+      query,
+      conversationContext: buildConversationContext(req.chat ? activeBranch(req.chat) : []),
+      model,
+      dataSourceIds: req.dataSourceIds,
+      filters,
+      abortSignal: abortController.signal,
+    });
+
+    let generatedText = "";
+    let usedModel = null;
+    const citations = [];
+
+    for await (const event of stream) {
+      if (clientClosed) break;
+
+      if (event.type === "token") {
+        generatedText += event.text;
+        sendEvent("token", { text: event.text });
+      } else if (event.type === "citation") {
+        citations.push(event.citation);
+      } else if (event.type === "model") {
+        usedModel = event.model;
+      }
+    }
+
+    if (clientClosed) {
+      console.log(`⚠️ User ${userId}: Client disconnected, stream abandoned.`);
+      return;
+    }
+
+    generatedText = generatedText || "No response generated.";
+
+    const sources = await attachCitationDocuments(citations);
+    const turn = chatId
+      ? await appendChatTurn(chatId, userId, query, { text: generatedText, citations: sources, model: usedModel }, activeLeafId(req.chat))
+      : null;
+
+    sendEvent("done", {
+      response: generatedText,
+      citations: await signCitationLinks(req, sources),
+      model: usedModel,
+      chatId: turn ? chatId : null,
+      messageId: turn?.assistantMessage._id || null,
+    });
+    res.end();
+  } catch (error) {
+    if (clientClosed) {
+      console.log(`⚠️ User ${userId}: Client disconnected, stream abandoned.`);
+      return;
+    }
+
+    console.error("❌ Error streaming from Knowledge Base:", error);
+    sendEvent("error", { error: "Error retrieving from Knowledge Base" });
+    res.end();
+  }
+});
+
+
+// POST: Ask a question in a chat
+// The backend generates the answer itself and saves both messages in one update,
+// so the stored history always matches what the knowledge base returned.
+// Optional `filters` (as for /api/retrieve-and-generate) apply to this answer only; they are not saved with the chat.
+app.post("/api/chats/:id/messages", requireChatOwner, withDataSourceScope, checkModelSelection, limitGeneration, async (req, res) => {
+  const { userId } = req.auth;
+  const { question, model } = req.body;
+
+  if (typeof question !== "string" || !question.trim()) {
+    return res.status(400).json({ message: "Question is required!" });
+  }
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const answer = await generateKnowledgeBaseAnswer(question, activeBranch(req.chat), {
+      model,
+      dataSourceIds: req.dataSourceIds,
+      filters,
+    });
+
+    const turn = await appendChatTurn(req.chat._id, userId, question, answer, activeLeafId(req.chat));
+    if (!turn) {
+      return res.status(404).json({ message: "Chat not found!" });
+    }
+
+    const assistantMessage = turn.assistantMessage.toObject();
+    assistantMessage.citations = await signCitationLinks(req, assistantMessage.citations);
+
+    res.status(201).json({ messages: [turn.userMessage, assistantMessage] });
+  } catch (err) {
+    console.error("❌ Error answering chat message:", err);
+    res.status(500).json({ message: "Error answering message!", error: err.message });
+  }
+});
+
+// Finds an assistant message of req.chat by :messageId, or answers 404
+const findAssistantMessage = (req, res) => {
+  const { messageId } = req.params;
+  const message = mongoose.isValidObjectId(messageId) ? req.chat.history.id(messageId) : null;
+
+  if (!message || message.role !== "assistant") {
+    res.status(404).json({ message: "Assistant message not found!" });
+    return null;
+  }
+  return message;
+};
+
+// PUT: Rate an assistant answer
+// Body: { rating: "up" | "down", category?: "hallucination" | "outdated" | "missing-source", comment? }
+app.put("/api/chats/:id/messages/:messageId/feedback", requireChatOwner, async (req, res) => {
+  const { rating, category, comment } = req.body;
+
+  const invalid = validateFeedback({ rating, category, comment });
+  if (invalid) {
+    return res.status(400).json({ message: invalid });
+  }
+
+  try {
+    const message = findAssistantMessage(req, res);
+    if (!message) return;
+
+    message.feedback = {
+      rating,
+      category: category || undefined,
+      comment: comment?.trim() || undefined,
+      dataSources: await citedDataSources(message.citations),
+    };
+    await req.chat.save();
+
+    res.status(200).json(message.feedback);
+  } catch (err) {
+    console.error("❌ Error saving feedback:", err);
+    res.status(500).json({ message: "Error saving feedback!" });
+  }
+});
+
+// DELETE: Withdraw feedback on an assistant answer
+app.delete("/api/chats/:id/messages/:messageId/feedback", requireChatOwner, async (req, res) => {
+  try {
+    const message = findAssistantMessage(req, res);
+    if (!message) return;
+
+    message.feedback = undefined;
+    await req.chat.save();
+
+    res.status(200).json({ message: "Feedback removed!" });
+  } catch (err) {
+    console.error("❌ Error removing feedback:", err);
+    res.status(500).json({ message: "Error removing feedback!" });
+  }
+});
+
+// PUT: Edit an earlier question
+// The edited question is saved as a new version next to the original and answered using
+// only the conversation before it; the new branch becomes the active one. Accepts optional `filters`.
+app.put("/api/chats/:id/messages/:messageId", requireChatOwner, withDataSourceScope, checkModelSelection, limitGeneration, async (req, res) => {
+  const { userId } = req.auth;
+  const { content, model } = req.body;
+  const { messageId } = req.params;
+
+  if (typeof content !== "string" || !content.trim()) {
+    return res.status(400).json({ message: "Content is required!" });
+  }
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const history = req.chat.history;
+  const index = mongoose.isValidObjectId(messageId) ? history.findIndex((message) => message._id.equals(messageId)) : -1;
+  if (index === -1 || history[index].role !== "user") {
+    return res.status(404).json({ message: "User message not found!" });
+  }
+
+  try {
+    const parentId = parentIdOf(history, index);
+    const answer = await generateKnowledgeBaseAnswer(content, branchTo(history, parentId), {
+      model,
+      dataSourceIds: req.dataSourceIds,
+      filters,
+    });
+
+    const turn = await appendChatTurn(req.chat._id, userId, content, answer, parentId);
+    if (!turn) {
+      return res.status(404).json({ message: "Chat not found!" });
+    }
+
+    const assistantMessage = turn.assistantMessage.toObject();
+    assistantMessage.citations = await signCitationLinks(req, assistantMessage.citations);
+
+    res.status(201).json({ messages: [turn.userMessage, assistantMessage] });
+  } catch (err) {
+    console.error("❌ Error editing chat message:", err);
+    res.status(500).json({ message: "Error editing message!", error: err.message });
+  }
+});
+
+// POST: Regenerate an assistant answer
+// The new answer is saved as another version of the original and becomes the active branch.
+// Body: { model?, filters? }
+app.post("/api/chats/:id/messages/:messageId/regenerate", requireChatOwner, withDataSourceScope, checkModelSelection, limitGeneration, async (req, res) => {
+  const { userId } = req.auth;
+  const { model } = req.body;
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const original = findAssistantMessage(req, res);
+    if (!original) return;
+
+    const history = req.chat.history;
+    const questionIndex = history.findIndex((message) => String(message._id) === parentIdOf(history, history.indexOf(original)));
+    if (questionIndex === -1) {
+      return res.status(409).json({ message: "The question for this answer no longer exists!" });
+    }
+    const question = history[questionIndex];
+
+    const answer = await generateKnowledgeBaseAnswer(question.content, branchTo(history, parentIdOf(history, questionIndex)), {
+      model,
+      dataSourceIds: req.dataSourceIds,
+      filters,
+    });
+    const assistantMessage = {
+      _id: new mongoose.Types.ObjectId(),
+      role: "assistant",
+      content: answer.text,
+      citations: answer.citations,
+      model: answer.model,
+      parentId: question._id,
+    };
+
+    const chat = await pushChatMessages(req.chat._id, userId, [assistantMessage]);
+    if (!chat) {
+      return res.status(404).json({ message: "Chat not found!" });
+    }
+
+    const saved = chat.history.id(assistantMessage._id).toObject();
+    saved.citations = await signCitationLinks(req, saved.citations);
+
+    res.status(201).json({ messages: [saved], siblingIds: siblingIds(chat.history, assistantMessage._id) });
+  } catch (err) {
+    console.error("❌ Error regenerating answer:", err);
+    res.status(500).json({ message: "Error regenerating answer!", error: err.message });
+  }
+});
+
+// PUT: Switch the chat to the branch containing a message
+// Body: { messageId } – any version of any message; the branch continues down its newest replies.
+app.put("/api/chats/:id/branch", requireChatOwner, async (req, res) => {
+  const { userId } = req.auth;
+  const { messageId } = req.body;
+
+  if (!mongoose.isValidObjectId(messageId) || !req.chat.history.id(messageId)) {
+    return res.status(404).json({ message: "Message not found!" });
+  }
+
+  try {
+    const activeMessageId = latestLeafFrom(req.chat.history, messageId);
+    await Chat.updateOne({ _id: req.chat._id, userId }, { $set: { activeMessageId } });
+
+    res.status(200).json({ activeMessageId, messageIds: branchTo(req.chat.history, activeMessageId).map((message) => message._id) });
+  } catch (err) {
+    console.error("❌ Error switching branch:", err);
+    res.status(500).json({ message: "Error switching branch!" });
+  }
+});
+
+// GET: Audit events for admins, newest first
+// Query: actor, action (exact, or a prefix like "document.*"), targetType, targetId, outcome,
+// from/to (ISO dates), limit (default 100, max 1000), before (createdAt cursor for the next page),
+// format=csv to download every matching event as CSV instead.
+app.get("/api/admin/audit-events", requireAdmin, async (req, res) => {
+  try {
+    const { filter, error } = auditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.attachment(`audit-events-${new Date().toISOString().substring(0, 10)}.csv`);
+
+      const events = AuditEvent.find(filter).sort({ createdAt: -1 }).lean().cursor();
+      res.write(`${AUDIT_CSV_COLUMNS.join(",")}\n`);
+      for await (const event of events) {
+        res.write(`${auditCsvRow(event)}\n`);
+      }
+      return res.end();
+    }
+
+    const limit = Math.max(1, Math.min(Math.trunc(Number(req.query.limit)) || 100, 1000));
+    if (req.query.before) {
+      const before = typeof req.query.before === "string" ? new Date(req.query.before) : new Date(NaN);
+      if (isNaN(before)) {
+        return res.status(400).json({ message: "Invalid before cursor!" });
+      }
+      filter.createdAt = { ...filter.createdAt, $lt: before };
+    }
+
+    const events = await AuditEvent.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.status(200).json({
+      events,
+      nextBefore: events.length === limit ? events[events.length - 1].createdAt : null,
+    });
+  } catch (err) {
+    console.error("❌ Error querying audit events:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Error querying audit events!" });
+  }
+});
+
+// GET: Feedback report for admins, grouped by data source, model and time window
+// Query: from/to (ISO dates), interval (day|week|month, default week), model (provider:model), dataSource (slug)
+app.get("/api/admin/feedback", requireAdmin, async (req, res) => {
+  const { from, to, interval = "week", model, dataSource: slug } = req.query;
+
+  if (!REPORT_INTERVALS.includes(interval)) {
+    return res.status(400).json({ message: `Interval must be one of: ${REPORT_INTERVALS.join(", ")}` });
+  }
+  if ([from, to, model, slug].some((value) => value !== undefined && typeof value !== "string")) {
+    return res.status(400).json({ message: "from, to, model and dataSource must each be given once" });
+  }
+  const range = { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined };
+  if (Object.values(range).some((date) => date && isNaN(date))) {
+    return res.status(400).json({ message: "Invalid date range!" });
+  }
+
+  try {
+    let dataSourceId;
+    if (slug) {
+      const dataSource = await DataSource.findOne({ slug });
+      if (!dataSource) {
+        return res.status(404).json({ message: `Unknown data source: ${slug}` });
+      }
+      dataSourceId = dataSource._id;
+    }
+
+    res.status(200).json(await feedbackReport({ ...range, interval, model, dataSourceId }));
+  } catch (err) {
+    console.error("❌ Error building feedback report:", err);
+    res.status(500).json({ message: "Error building feedback report!" });
+  }
+});
+
+// Handling Instant Lookup
+
+//  Function to fetch response based on selected data source (a DataSource record)
+const fetchInstantResponse = async (query, dataSource, model, filters = null) => {
+  try {
+    const { knowledgeBaseId, dataSourceId } = dataSource;
+
+    const response = await answerQuestion({ query, knowledgeBaseId, dataSourceId, filters, model });
+
+    return {
+      text: response.text,
+      citations: await attachCitationDocuments(response.citations),
+      model: response.model,
+    };
+  } catch (error) {
+    console.error("❌ Error fetching instant response:", error);
+    return { text: "Error retrieving response.", citations: [] };
+  }
+};
+
+
+
+
+// Api for Instant Lookup
+// Optional `filters` narrow the data source further to documents with matching tags and metadata.
+
+app.post("/api/instant-lookup", checkModelSelection, limitGeneration, async (req, res) => {
+  const { query, dataSource, model } = req.body;
+
+  if (typeof query !== "string" || !query.trim() || !dataSource) {
+    return res.status(400).json({ error: "Query and Data Source are required" });
+  }
+  if (typeof dataSource !== "string") {
+    return res.status(400).json({ error: "Data Source must be a data source slug" });
+  }
+
+  const { filters, error } = parseRetrievalFilters(req.body.filters);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const target = await DataSource.findOne({ slug: dataSource });
+    if (!target) {
+      return res.status(404).json({ error: `Invalid data source: ${dataSource}` });
+    }
+    if (!canUseDataSource(target, req.auth.userId)) {
+      return res.status(403).json({ error: "You do not have access to this data source" });
+    }
+
+    const { text, citations, model: usedModel } = await fetchInstantResponse(query, target, model, filters);
+    
+    // Ensure we always send a valid JSON response
+    res.json({ response: text || "No response generated.", citations: await signCitationLinks(req, citations), model: usedModel });
+
+  } catch (error) {
+    console.error("❌ Error in instant lookup:", error);
+    res.status(500).json({ error: "Failed to retrieve response." });
+  }
+});
+
+
+
+// Data source registry
+
+// Fields admins may set on a data source
+const pickDataSourceFields = (body) => {
+  const fields = {};
+  for (const field of [
+    "slug",
+    "displayName",
+    "description",
+    "knowledgeBaseId",
+    "dataSourceId",
+    "bucket",
+    "prefix",
+    "allowedUsers",
+    "isDefault",
+  ]) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Only one data source can be the default upload target
+const clearOtherDefaults = (fields, id) =>
+  fields.isDefault ? DataSource.updateMany({ _id: { $ne: id }, isDefault: true }, { $set: { isDefault: false } }) : null;
+
+// GET: List data sources the user can query (admins also see Bedrock ids and allowed users)
+app.get("/api/data-sources", async (req, res) => {
+  try {
+    if (isAdmin(req.auth)) {
+      return res.status(200).json(await DataSource.find().sort({ displayName: 1 }));
+    }
+
+    const dataSources = await listDataSourcesForUser(req.auth.userId);
+    res.status(200).json(
+      dataSources.map(({ _id, slug, displayName, description, isDefault }) => ({ _id, slug, displayName, description, isDefault }))
+    );
+  } catch (err) {
+    console.error("❌ Error fetching data sources:", err);
+    res.status(500).json({ message: "Error fetching data sources", error: err.message });
+  }
+});
+
+// POST: Register a data source (admin)
+app.post("/api/data-sources", requireAdmin, async (req, res) => {
+  const fields = pickDataSourceFields(req.body);
+
+  try {
+    const dataSource = await DataSource.create(fields);
+    await clearOtherDefaults(fields, dataSource._id);
+    res.status(201).json(dataSource);
+  } catch (err) {
+    if (err.name === "ValidationError" || err.code === 11000) {
+      return res.status(400).json({ message: "Invalid data source", error: err.message });
+    }
+    console.error("❌ Error creating data source:", err);
+    res.status(500).json({ message: "Error creating data source", error: err.message });
+  }
+});
+
+// PUT: Update a data source (admin)
+app.put("/api/data-sources/:id", requireAdmin, async (req, res) => {
+  const fields = pickDataSourceFields(req.body);
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: "Data source not found!" });
+  }
+
+  try {
+    const dataSource = await DataSource.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+    if (!dataSource) {
+      return res.status(404).json({ message: "Data source not found!" });
+    }
+    await clearOtherDefaults(fields, dataSource._id);
+    res.status(200).json(dataSource);
+  } catch (err) {
+    if (err.name === "ValidationError" || err.code === 11000) {
+      return res.status(400).json({ message: "Invalid data source", error: err.message });
+    }
+    console.error("❌ Error updating data source:", err);
+    res.status(500).json({ message: "Error updating data source", error: err.message });
+  }
+});
+
+// DELETE: Remove a data source from the registry (admin); nothing is deleted in Bedrock
+app.delete("/api/data-sources/:id", requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: "Data source not found!" });
+  }
+
+  try {
+    const deleted = await DataSource.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Data source not found!" });
+    }
+    res.status(200).json({ message: "Data source deleted successfully!" });
+  } catch (err) {
+    console.error("❌ Error deleting data source:", err);
+    res.status(500).json({ message: "Error deleting data source", error: err.message });
+  }
+});
+
+
+
+// PUT: Receive a direct upload through a signed link (STORAGE_DRIVER=local only)
+// Stands in for S3 presigned PUT URLs; links come from storage.getSignedUploadUrl.
+app.put("/api/storage/:key(*)", express.raw({ type: () => true, limit: MAX_DIRECT_UPLOAD_BYTES }), async (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+
+  if (storage.driver !== "local") {
+    return res.status(404).json({ message: "Not found!" });
+  }
+  if (!storage.verifySignature(key, expires, signature, "PUT")) {
+    return res.status(403).json({ message: "Invalid or expired link!" });
+  }
+
+  try {
+    await storage.put(key, req.body, req.get("content-type"));
+    res.status(200).end();
+  } catch (err) {
+    console.error("❌ Error storing uploaded file:", err);
+    res.status(500).json({ message: "Error storing file", error: err.message });
+  }
+});
+
+// GET: Serve a file from local storage through a signed link (STORAGE_DRIVER=local only)
+// Replaces the old public /uploads static mount; links come from storage.getSignedUrl.
+// Links carry no user, so downloads are audited against the document the key belongs to.
+app.get("/api/storage/:key(*)", auditEvent("document.download", "document", () => null), async (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+
+  if (storage.driver !== "local") {
+    return res.status(404).json({ message: "Not found!" });
+  }
+  res.locals.audit = { details: { key, via: "signed-link" } };
+  if (!storage.verifySignature(key, expires, signature)) {
+    return res.status(403).json({ message: "Invalid or expired link!" });
+  }
+
+  try {
+    // Earlier versions live under .versions/<key>/
+    const objectKey = key.startsWith(".versions/") ? path.posix.dirname(key.slice(".versions/".length)) : key;
+    res.locals.audit.targetId = (await Document.findOne({ objectKey }, { _id: 1 }))?._id;
+
+    const { body, contentType } = await storage.get(key);
+    res.set("Content-Type", contentType);
+    res.send(body);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return res.status(404).json({ message: "File not found!" });
+    }
+    console.error("❌ Error serving stored file:", err);
+    res.status(500).json({ message: "Error serving file", error: err.message });
+  }
+});
+
+// Error handling middleware; registered last so it also catches errors from the routes above
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error("❌ Unhandled error:", err.stack);
+  }
+  res.status(status).json({ message: status >= 500 ? "Internal Server Error" : err.message });
+});
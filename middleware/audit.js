@@ -0,0 +1,43 @@
+import { recordAuditEvent } from "../utils/auditLog.js";
+
+// Response status -> audit outcome
+const outcomeOf = (statusCode) => {
+  if (statusCode < 400) return "success";
+  if (statusCode < 500) return "denied";  // Refused: not allowed, not found or invalid input
+  return "failure";
+};
+
+// **Record an audit event for something a request did besides its own action**
+// e.g. each document download link a chat answer hands out.
+export const recordRequestAuditEvent = (req, { action, targetType, targetId, outcome = "success", statusCode, details }) =>
+  recordAuditEvent({
+    actor: req.auth?.userId || "anonymous",
+    action,
+    targetType,
+    targetId: targetId ? String(targetId) : null,
+    outcome,
+    statusCode,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    details,
+  });
+
+// **Record an audit event once the response has been sent** (use after requireAuth)
+// Put it before ownership checks so refused attempts are logged too. The target id is
+// req.params.id by default, or whatever `target(req)` returns; handlers can add
+// res.locals.audit = { targetId, details } once they know more (e.g. a new document's id).
+export const auditEvent = (action, targetType, target = (req) => req.params.id) => (req, res, next) => {
+  res.on("finish", () => {
+    const { targetId, details } = res.locals.audit || {};
+
+    recordRequestAuditEvent(req, {
+      action,
+      targetType,
+      targetId: targetId || target(req),
+      outcome: outcomeOf(res.statusCode),
+      statusCode: res.statusCode,
+      details,
+    });
+  });
+  next();
+};
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import { ClerkExpressRequireAuth } from "@clerk/clerk-sdk-node";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Clerk verifies the session token (Authorization header or __session cookie)
+// and populates req.auth; it reports failures by calling next(err).
+const clerkRequireAuth = ClerkExpressRequireAuth();
+
+// **Require a signed-in user** and expose their id as req.auth.userId
+export const requireAuth = (req, res, next) => {
+  clerkRequireAuth(req, res, (err) => {
+    if (err || !req.auth?.userId) {
+      return res.status(401).json({ message: "Authentication required!" });
+    }
+    next();
+  });
+};
+
+// Admins are listed in ADMIN_USER_IDS or carry role "admin" in their Clerk public metadata
+// (exposed to the session token as the "metadata" claim).
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "").split(",").map((id) => id.trim()).filter(Boolean);
+
+export const isAdmin = (auth) =>
+  ADMIN_USER_IDS.includes(auth?.userId) || auth?.sessionClaims?.metadata?.role === "admin";
+
+// **Require an admin** (use after requireAuth)
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.auth)) {
+    return res.status(403).json({ message: "Admin access required!" });
+  }
+  next();
+};
+
+// **Load a record by id and make sure the caller owns it**
+// The id is read from req[source][param] (a route param by default) and the record is
+// attached to req[key] for the route handler. With optional, a missing id is let through.
+export const requireOwnership = (Model, { param = "id", source = "params", key = "resource", optional = false } = {}) =>
+  async (req, res, next) => {
+    const id = req[source]?.[param];
+
+    if (optional && !id) {
+      return next();
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: `${Model.modelName} not found!` });
+    }
+
+    try {
+      const record = await Model.findById(id);
+      if (!record) {
+        return res.status(404).json({ message: `${Model.modelName} not found!` });
+      }
+      if (record.userId !== req.auth.userId) {
+        return res.status(403).json({ message: `You do not have access to this ${Model.modelName.toLowerCase()}!` });
+      }
+
+      req[key] = record;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
@@ -0,0 +1,39 @@
+import { consumeGeneration, consumeUpload } from "../utils/usageService.js";
+
+const WINDOW_NAMES = { minute: "Rate limit", day: "Daily quota", month: "Monthly quota" };
+
+// Middleware counting each request with `consume` and answering 429 with Retry-After once
+// any limit is used up. Requests the route then rejects as invalid (4xx) are given back.
+const rateLimited = (consume, label) => async (req, res, next) => {
+  try {
+    const { exceeded, release } = await consume({ userId: req.auth.userId, ip: req.ip });
+    if (!exceeded) {
+      res.on("finish", () => {
+        if (res.statusCode >= 400 && res.statusCode < 500) {
+          release().catch((err) => console.error("⚠️ Could not give back a rejected request's usage:", err));
+        }
+      });
+      return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((exceeded.resetAt.getTime() - Date.now()) / 1000), 1);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      message: `${WINDOW_NAMES[exceeded.window]} exceeded (${exceeded.limit} ${label} per ${exceeded.window}). Try again later.`,
+      window: exceeded.window,
+      limit: exceeded.limit,
+      retryAfter,
+      resetAt: exceeded.resetAt,
+    });
+  } catch (err) {
+    // Never block requests because the usage store is unavailable
+    console.error("⚠️ Rate limit check failed, allowing request:", err);
+    next();
+  }
+};
+
+// **Limit calls to paid generation routes** per user, per IP and per day/month (use after requireAuth)
+export const limitGeneration = rateLimited(consumeGeneration, "requests");
+
+// **Limit bulk and direct uploads** per user per minute and per day (use after requireAuth, before the body is read)
+export const limitUploads = rateLimited(consumeUpload, "uploads");
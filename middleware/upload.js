@@ -0,0 +1,83 @@
+import path from "path";
+import multer from "multer";
+import {
+  ALLOWED_EXTENSIONS,
+  MAX_UPLOAD_BYTES,
+  MAX_ARCHIVE_BYTES,
+  MAX_BATCH_FILES,
+  MAX_BATCH_BYTES,
+  formatBytes,
+} from "../utils/uploadValidation.js";
+
+// Files are buffered in memory, so multer stops reading as soon as the size limit is passed
+// and refuses types outside the allow-list before reading them at all.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (ALLOWED_EXTENSIONS.includes(extension)) return cb(null, true);
+
+    const err = new Error(`Unsupported file type ".${extension}". Allowed types: ${ALLOWED_EXTENSIONS.join(", ")}`);
+    err.status = 415;
+    cb(err);
+  },
+});
+
+// Bulk uploads take ZIP archives and report unsupported files per file instead of failing the request
+const MAX_BATCH_FILE_BYTES = Math.min(Math.max(MAX_UPLOAD_BYTES, MAX_ARCHIVE_BYTES), MAX_BATCH_BYTES);
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BATCH_FILE_BYTES, files: MAX_BATCH_FILES },
+});
+
+// Room for multipart boundaries and headers on top of the files themselves
+const MULTIPART_OVERHEAD_BYTES = 1024 * 1024;
+
+// Multer error -> 4xx answer
+const uploadErrorResponse = (err, maxBytes) => {
+  if (err.status) return { status: err.status, message: err.message };
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return { status: 413, message: `File is larger than the ${formatBytes(maxBytes)} limit` };
+  }
+  if (err.code === "LIMIT_FILE_COUNT") {
+    return { status: 413, message: `Batches are limited to ${MAX_BATCH_FILES} files` };
+  }
+  if (err instanceof multer.MulterError) return { status: 400, message: err.message };
+  return null;
+};
+
+// Run a multer middleware, answering 4xx JSON for rejected uploads
+const handleUpload = (middleware, maxBytes) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (!err) return next();
+
+    const rejection = uploadErrorResponse(err, maxBytes);
+    if (!rejection) return next(err);
+    res.status(rejection.status).json({ message: rejection.message });
+  });
+};
+
+// **Accept one file in form field `field`** as req.file, answering 4xx JSON for rejected uploads
+export const acceptUpload = (field) => handleUpload(upload.single(field), MAX_UPLOAD_BYTES);
+
+// **Accept many files (and ZIP archives) in form field `field`** as req.files
+// Every file is buffered in memory, so the whole request is capped at MAX_BATCH_BYTES up front:
+// Node stops reading the body at Content-Length, and requests without one are refused.
+export const acceptUploads = (field) => {
+  const middleware = handleUpload(batchUpload.array(field, MAX_BATCH_FILES), MAX_BATCH_FILE_BYTES);
+
+  return (req, res, next) => {
+    const length = Number(req.headers["content-length"]);
+    if (!req.headers["content-length"] || !Number.isInteger(length)) {
+      return res.status(411).set("Connection", "close").json({ message: "Bulk uploads must send a Content-Length header" });
+    }
+    if (length > MAX_BATCH_BYTES + MULTIPART_OVERHEAD_BYTES) {
+      return res
+        .status(413)
+        .set("Connection", "close")
+        .json({ message: `Batches are limited to ${formatBytes(MAX_BATCH_BYTES)} in total` });
+    }
+    middleware(req, res, next);
+  };
+};
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Who did what to which document or chat, and whether it was allowed.
+// Events are append-only: the query hooks below reject any update or delete.
+const auditEventSchema = new mongoose.Schema({
+  actor: { type: String, required: true },  // Clerk user id
+  action: { type: String, required: true },  // e.g. "document.upload", "chat.rename"
+  targetType: { type: String, enum: ["document", "chat"], required: true },
+  targetId: { type: String, default: null },
+  outcome: { type: String, enum: ["success", "denied", "failure"], required: true },
+  statusCode: { type: Number },
+  ip: { type: String },
+  userAgent: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },  // Action-specific context, e.g. the file name
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error("Audit events are append-only");
+};
+
+auditEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectChange
+);
+auditEventSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+export default mongoose.models.AuditEvent ||
+  mongoose.model("AuditEvent", auditEventSchema);
@@ -1,5 +1,38 @@
 import mongoose from "mongoose";
 
+// A knowledge-base chunk that an answer was grounded on
+const referenceSchema = new mongoose.Schema(
+  {
+    content: { type: String },  // The retrieved passage
+    location: { type: String },  // Source URI reported by Bedrock (e.g. s3://bucket/key)
+    bucket: { type: String },  // Bucket of the source file (S3 only)
+    key: { type: String },  // Object key of the source file
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: "Document" },  // Matching Document, if we have one
+    fileName: { type: String },
+  },
+  { _id: false }
+);
+
+// A span of the answer together with the chunks that support it
+const citationSchema = new mongoose.Schema(
+  {
+    text: { type: String },
+    references: [referenceSchema],
+  },
+  { _id: false }
+);
+
+// A user's rating of an assistant answer
+const feedbackSchema = new mongoose.Schema(
+  {
+    rating: { type: String, enum: ["up", "down"], required: true },
+    category: { type: String, enum: ["hallucination", "outdated", "missing-source"] },  // What was wrong, if anything
+    comment: { type: String, maxlength: 2000 },
+    dataSources: [{ type: mongoose.Schema.Types.ObjectId, ref: "DataSource" }],  // Data sources of the cited documents
+  },
+  { _id: false, timestamps: true }
+);
+
 const chatSchema = new mongoose.Schema({
   userId: { type: String, required: true },
   history: [
@@ -7,10 +40,18 @@ const chatSchema = new mongoose.Schema({
       role: { type: String, required: true },  // 'user' or 'assistant'
       content: { type: String, required: true },  // The actual message content
       img: { type: String },  // Optional image field if needed
+      citations: [citationSchema],  // Sources for assistant answers
+      model: { type: String },  // provider:model that generated an assistant answer
+      feedback: feedbackSchema,  // Thumbs up/down on an assistant answer
+      parentId: { type: mongoose.Schema.Types.ObjectId },  // Message this one follows (null for the first question)
     },
   ],
+  activeMessageId: { type: mongoose.Schema.Types.ObjectId },  // Last message of the branch being shown
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// Full-text search over message content (GET /api/chats/search)
+chatSchema.index({ "history.content": "text" });
+
 export default mongoose.model("Chat", chatSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// A knowledge-base data source users can upload to and query
+const dataSourceSchema = new mongoose.Schema(
+  {
+    slug: { type: String, required: true, unique: true },  // Stable key the client sends, e.g. "amp-data-pipgpt"
+    displayName: { type: String, required: true },
+    description: { type: String, default: "" },
+    knowledgeBaseId: { type: String, required: true },  // Bedrock knowledge base
+    dataSourceId: { type: String, required: true },  // Bedrock data source within it
+    bucket: { type: String, default: null },  // S3 bucket the data source ingests from (default: S3_BUCKET_NAME)
+    prefix: { type: String, default: "" },  // Key prefix inside the bucket, e.g. "reference-books/"
+    allowedUsers: { type: [String], default: [] },  // Empty means every signed-in user
+    isDefault: { type: Boolean, default: false },  // Upload target when none is chosen
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.DataSource || mongoose.model("DataSource", dataSourceSchema);
@@ -1,11 +1,76 @@
 import mongoose from "mongoose";
 
+// An earlier version of a document's file, replaced by a newer upload or a rollback
+const documentVersionSchema = new mongoose.Schema({
+    version: { type: Number, required: true },
+    versionRef: { type: String, required: true }, // S3 VersionId, or archived key for local storage
+    fileName: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number },
+    uploadedAt: { type: Date }, // When this version was uploaded
+    replacedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
     userId: { type: String, required: true },
     fileName: { type: String, required: true },
     fileUrl: {type: String, required:true}, // S3 url of the file
+    objectKey: { type: String }, // Key of the file in the configured storage backend
+    bucket: { type: String, default: null }, // S3 bucket holding the file (null: S3_BUCKET_NAME)
+    dataSource: { type: mongoose.Schema.Types.ObjectId, ref: "DataSource", default: null }, // Knowledge base data source it is indexed in
     contentType: { type: String, required: true }, // MIME type (e.g., "application/pdf")
+    tags: { type: [String], default: [], index: true }, // Lower-case labels, e.g. "rates"
+    metadata: { // Filterable attributes, mirrored to the Bedrock .metadata.json sidecar
+        product: { type: String, default: null },
+        region: { type: String, default: null },
+        effectiveDate: { type: Date, default: null },
+        confidentiality: {
+            type: String,
+            enum: ["public", "internal", "confidential", "restricted", null],
+            default: null,
+        },
+    },
+    size: { type: Number }, // Bytes
     uploadedAt: { type: Date, default: Date.now },
+    uploadStatus: { // "pending" while the client is uploading straight to storage
+        type: String,
+        enum: ["pending", "complete"],
+        default: "complete",
+    },
+    version: { type: Number, default: 1 }, // Current version number of the file
+    versions: [documentVersionSchema], // Earlier versions, oldest first
+    replacingUntil: { type: Date, default: null }, // Set while a new version's file is being written
+    stagingKey: { type: String, default: null }, // Where a pending direct upload is written until it is checked
+    stagingBucket: { type: String, default: null }, // Bucket holding stagingKey (null: S3_BUCKET_NAME)
+    multipartUploadId: { type: String, default: null }, // S3 multipart upload in progress
+    uploadExpiresAt: { type: Date, default: null }, // Pending uploads not completed by then are discarded
+    ingestionJobId: { type: String, default: null }, // Bedrock ingestion job that indexes this file
+    indexingStatus: {
+        type: String,
+        enum: ["pending", "in-progress", "complete", "failed"],
+        default: "pending",
+    },
+    indexingError: { type: String, default: null }, // Failure reason reported by Bedrock
+    indexedAt: { type: Date, default: null },
+    textContent: { // Text extracted from the file, as the knowledge base sees it
+        pages: { type: [String], select: false }, // Per-page text; only loaded by GET /api/documents/:id/text
+        pageCount: { type: Number },
+        characterCount: { type: Number },
+        extractedAt: { type: Date },
+        error: { type: String }, // Why extraction failed
+    },
+    hasExtractableText: { type: Boolean, default: null }, // false for e.g. scanned PDFs; null until extracted
+    summary: { type: String, default: null }, // Short overview generated once the file is indexed
+    topics: { type: [String], default: [] },
+    suggestedQuestions: { type: [String], default: [] },
+    summaryStatus: {
+        type: String,
+        enum: ["in-progress", "complete", "failed", null],
+        default: null,
+    },
+    summaryError: { type: String, default: null },
+    summaryModel: { type: String, default: null }, // provider:model that wrote the summary
+    summarizedAt: { type: Date, default: null },
 });
 
 export default mongoose.models.Document || mongoose.model("Document", documentSchema);
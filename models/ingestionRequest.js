@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A pending reason to re-sync a knowledge-base data source (an upload or a delete).
+// Queued requests are coalesced into a single Bedrock ingestion job.
+const ingestionRequestSchema = new mongoose.Schema(
+  {
+    knowledgeBaseId: { type: String, required: true },
+    dataSourceId: { type: String, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: "Document", default: null },
+    reason: { type: String, required: true },  // e.g. "upload", "delete"
+    status: {
+      type: String,
+      enum: ["queued", "starting", "started", "failed"],
+      default: "queued",
+    },
+    claimToken: { type: String, default: null },  // Set while one instance is starting the job
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    ingestionJobId: { type: String, default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+ingestionRequestSchema.index({ status: 1, dataSourceId: 1, nextAttemptAt: 1 });
+
+export default mongoose.models.IngestionRequest ||
+  mongoose.model("IngestionRequest", ingestionRequestSchema);
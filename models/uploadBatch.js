@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Outcome of one file in a bulk upload
+const batchFileSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, required: true },
+    archive: { type: String, default: null },  // ZIP the file was extracted from, if any
+    status: { type: String, enum: ["accepted", "rejected"], required: true },
+    reason: { type: String, default: null },  // Why it was rejected
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: "Document", default: null },
+  },
+  { _id: false }
+);
+
+// A multi-file or ZIP upload, processed in the background and polled by the client
+const uploadBatchSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    dataSource: { type: mongoose.Schema.Types.ObjectId, ref: "DataSource", default: null },
+    status: { type: String, enum: ["processing", "complete", "failed"], default: "processing" },
+    error: { type: String, default: null },
+    totalFiles: { type: Number, default: 0 },  // Files to process, once archives are expanded
+    files: [batchFileSchema],
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.UploadBatch ||
+  mongoose.model("UploadBatch", uploadBatchSchema);
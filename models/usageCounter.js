@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Number of generation (or upload) requests one user or IP made in one rate-limit window.
+// Shared through MongoDB so limits hold across every backend instance.
+const usageCounterSchema = new mongoose.Schema({
+  subject: { type: String, required: true },  // "user:<clerk id>", "ip:<address>" or "uploads:user:<clerk id>"
+  window: { type: String, enum: ["minute", "day", "month"], required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },  // Removed by MongoDB once the window is long over
+});
+
+usageCounterSchema.index({ subject: 1, window: 1, windowStart: 1 }, { unique: true });
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.UsageCounter ||
+  mongoose.model("UsageCounter", usageCounterSchema);
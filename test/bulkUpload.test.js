@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import AdmZip from "adm-zip";
+
+// Small limits so the caps can be reached with tiny archives; read when the modules load
+process.env.UPLOAD_MAX_BYTES = "1024";
+process.env.UPLOAD_MAX_BATCH_FILES = "3";
+process.env.UPLOAD_MAX_BATCH_BYTES = "2048";
+
+const { expandUploads, startInterruptedBatchCleanup } = await import("../utils/bulkUpload.js");
+const { default: UploadBatch } = await import("../models/uploadBatch.js");
+
+const upload = (originalname, buffer) => ({ originalname, buffer, size: buffer.length });
+
+const zipOf = (entries) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) zip.addFile(name, Buffer.from(content));
+    return zip.toBuffer();
+};
+
+test("expandUploads passes plain files through and expands ZIP archives", () => {
+    const archive = zipOf({ "docs/a.txt": "alpha", "b.md": "# beta" });
+    const { files, rejected } = expandUploads([upload("plain.txt", Buffer.from("plain")), upload("batch.zip", archive)]);
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(
+        files.map(({ originalname, archive, buffer }) => [originalname, archive, buffer.toString()]).sort(),
+        [
+            ["a.txt", "batch.zip", "alpha"],
+            ["b.md", "batch.zip", "# beta"],
+            ["plain.txt", null, "plain"],
+        ]
+    );
+});
+
+test("expandUploads skips folders and packaging files and refuses nested archives", () => {
+    const archive = zipOf({ "__MACOSX/._a.txt": "fork", ".DS_Store": "noise", "inner.zip": "PK", "a.txt": "alpha" });
+    const { files, rejected } = expandUploads([upload("batch.zip", archive)]);
+
+    assert.deepEqual(files.map((file) => file.originalname), ["a.txt"]);
+    assert.deepEqual(rejected, [{ fileName: "inner.zip", archive: "batch.zip", reason: "Nested ZIP archives are not supported" }]);
+});
+
+test("expandUploads treats a .zip without the ZIP signature as a plain file, and reports corrupt archives", () => {
+    assert.equal(expandUploads([upload("notes.zip", Buffer.from("just text"))]).files[0].archive, null);
+
+    const { files, rejected } = expandUploads([upload("broken.zip", Buffer.from("PK\x03\x04garbage"))]);
+    assert.deepEqual(files, []);
+    assert.match(rejected[0].reason, /^Invalid ZIP archive/);
+});
+
+test("expandUploads stops inflating an entry at the per-file limit", () => {
+    // Compresses to a few bytes but inflates past UPLOAD_MAX_BYTES
+    const archive = zipOf({ "bomb.txt": "0".repeat(1024 * 1024), "ok.txt": "fine" });
+    const { files, rejected } = expandUploads([upload("bomb.zip", archive)]);
+
+    assert.deepEqual(files.map((file) => file.originalname), ["ok.txt"]);
+    assert.deepEqual(rejected, [{ fileName: "bomb.txt", archive: "bomb.zip", reason: "File is larger than the 1 KB limit" }]);
+});
+
+test("expandUploads caps the number of files in a batch before inflating more entries", () => {
+    const archive = zipOf({ "1.txt": "1", "2.txt": "2", "3.txt": "3", "4.txt": "4" });
+    const { files, rejected } = expandUploads([upload("many.zip", archive), upload("late.txt", Buffer.from("late"))]);
+
+    assert.equal(files.length, 3);
+    assert.deepEqual(
+        rejected.map(({ fileName, reason }) => [fileName, reason]),
+        [
+            ["4.txt", "Batches are limited to 3 files"],
+            ["late.txt", "Batches are limited to 3 files"],
+        ]
+    );
+});
+
+test("expandUploads caps the total size of a batch", () => {
+    const archive = zipOf({ "a.txt": "a".repeat(1000), "b.txt": "b".repeat(1000), "c.txt": "c".repeat(1000) });
+    const { files, rejected } = expandUploads([upload("big.zip", archive)]);
+
+    assert.deepEqual(files.map((file) => file.originalname), ["a.txt", "b.txt"]);
+    assert.deepEqual(rejected, [{ fileName: "c.txt", archive: "big.zip", reason: "Batches are limited to 2 KB in total" }]);
+});
+
+test("startInterruptedBatchCleanup fails batches left processing by an earlier run", async (t) => {
+    const updateMany = t.mock.method(UploadBatch, "updateMany", async () => ({ modifiedCount: 0 }));
+    const timer = startInterruptedBatchCleanup();
+    clearInterval(timer);
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.equal(filter.status, "processing");
+    assert.ok(filter.updatedAt.$lt < new Date());
+    assert.equal(update.$set.status, "failed");
+});
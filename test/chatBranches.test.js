@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parentIdOf, activeLeafId, branchTo, activeBranch, siblingIds, latestLeafFrom } from "../utils/chatBranches.js";
+
+// q1 → a1 → q2 → a2, with a2b regenerated next to a2 and q2b edited next to q2 (answered by a3)
+const history = [
+    { _id: "q1", role: "user", parentId: null },
+    { _id: "a1", role: "assistant", parentId: "q1" },
+    { _id: "q2", role: "user", parentId: "a1" },
+    { _id: "a2", role: "assistant", parentId: "q2" },
+    { _id: "a2b", role: "assistant", parentId: "q2" },
+    { _id: "q2b", role: "user", parentId: "a1" },
+    { _id: "a3", role: "assistant", parentId: "q2b" },
+];
+
+const ids = (messages) => messages.map((message) => message._id);
+
+test("parentIdOf falls back to the previous message for history saved before branching", () => {
+    const legacy = [{ _id: "q1" }, { _id: "a1" }, { _id: "q2" }];
+
+    assert.equal(parentIdOf(legacy, 0), null);
+    assert.equal(parentIdOf(legacy, 2), "a1");
+    assert.equal(parentIdOf(history, 5), "a1");
+});
+
+test("activeLeafId uses activeMessageId, then the last message", () => {
+    assert.equal(activeLeafId({ history, activeMessageId: "a2" }), "a2");
+    assert.equal(activeLeafId({ history }), "a3");
+    assert.equal(activeLeafId({ history: [] }), null);
+});
+
+test("branchTo walks from a leaf back to the first question", () => {
+    assert.deepEqual(ids(branchTo(history, "a2b")), ["q1", "a1", "q2", "a2b"]);
+    assert.deepEqual(ids(branchTo(history, "a3")), ["q1", "a1", "q2b", "a3"]);
+    assert.deepEqual(branchTo(history, "missing"), []);
+    assert.deepEqual(branchTo(history, null), []);
+});
+
+test("branchTo stops on a parentId cycle", () => {
+    const cyclic = [
+        { _id: "x", parentId: "y" },
+        { _id: "y", parentId: "x" },
+    ];
+
+    assert.equal(branchTo(cyclic, "y").length, 2);
+});
+
+test("activeBranch follows the chat's active message", () => {
+    assert.deepEqual(ids(activeBranch({ history, activeMessageId: "a2" })), ["q1", "a1", "q2", "a2"]);
+    assert.deepEqual(ids(activeBranch({ history })), ["q1", "a1", "q2b", "a3"]);
+});
+
+test("siblingIds lists every version of a message, oldest first", () => {
+    assert.deepEqual(siblingIds(history, "a2b"), ["a2", "a2b"]);
+    assert.deepEqual(siblingIds(history, "q2"), ["q2", "q2b"]);
+    assert.deepEqual(siblingIds(history, "q1"), ["q1"]);
+    assert.deepEqual(siblingIds(history, "missing"), []);
+});
+
+test("latestLeafFrom follows the newest reply at every step", () => {
+    assert.equal(latestLeafFrom(history, "q1"), "a3");
+    assert.equal(latestLeafFrom(history, "q2"), "a2b");
+    assert.equal(latestLeafFrom(history, "a3"), "a3");
+});
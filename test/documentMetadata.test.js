@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseDocumentMetadata,
+    parseRetrievalFilters,
+    bedrockFilterConditions,
+    documentFilterQuery,
+    hasDocumentMetadata,
+} from "../utils/documentMetadata.js";
+
+test("parseDocumentMetadata normalizes tags from lists, JSON and comma-separated form fields", () => {
+    assert.deepEqual(parseDocumentMetadata({ tags: ["Rates", "rates", " home "] }), { tags: ["rates", "home"] });
+    assert.deepEqual(parseDocumentMetadata({ tags: '["a","b"]' }), { tags: ["a", "b"] });
+    assert.deepEqual(parseDocumentMetadata({ tags: "a, b,,c" }), { tags: ["a", "b", "c"] });
+    assert.deepEqual(parseDocumentMetadata({ tags: null }), { tags: [] });
+    assert.deepEqual(parseDocumentMetadata({}), {});
+});
+
+test("parseDocumentMetadata enforces tag limits", () => {
+    assert.match(parseDocumentMetadata({ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }).error, /at most 20 tags/);
+    assert.match(parseDocumentMetadata({ tags: ["x".repeat(51)] }).error, /at most 50 characters/);
+});
+
+test("parseDocumentMetadata validates metadata fields and clears those set to null", () => {
+    const { metadata } = parseDocumentMetadata({
+        metadata: '{"product":" Home Loans ","region":null,"effectiveDate":"2024-07-01","confidentiality":"internal"}',
+    });
+
+    assert.deepEqual(metadata, {
+        product: "Home Loans",
+        region: null,
+        effectiveDate: new Date("2024-07-01"),
+        confidentiality: "internal",
+    });
+});
+
+test("parseDocumentMetadata refuses malformed metadata", () => {
+    assert.equal(parseDocumentMetadata({ metadata: "[1]" }).error, "metadata must be an object");
+    assert.match(parseDocumentMetadata({ metadata: { owner: "me" } }).error, /Unknown metadata field\(s\): owner/);
+    assert.match(parseDocumentMetadata({ metadata: { product: 42 } }).error, /metadata.product must be a string/);
+    assert.equal(parseDocumentMetadata({ metadata: { effectiveDate: "soon" } }).error, "metadata.effectiveDate must be a date");
+    assert.match(parseDocumentMetadata({ metadata: { confidentiality: "secret" } }).error, /must be one of/);
+});
+
+test("parseRetrievalFilters returns null when nothing is filtered", () => {
+    assert.deepEqual(parseRetrievalFilters(undefined), { filters: null });
+    assert.deepEqual(parseRetrievalFilters({ tags: [], product: "" }), { filters: null });
+});
+
+test("parseRetrievalFilters parses every filter", () => {
+    const { filters } = parseRetrievalFilters({
+        tags: "Rates,home",
+        product: " Home Loans ",
+        region: "NSW",
+        confidentiality: ["public", "internal"],
+        effectiveFrom: "2024-01-01",
+        effectiveTo: "2024-12-31",
+    });
+
+    assert.deepEqual(filters, {
+        tags: ["rates", "home"],
+        product: "Home Loans",
+        region: "NSW",
+        confidentiality: ["public", "internal"],
+        effectiveFrom: new Date("2024-01-01"),
+        effectiveTo: new Date("2024-12-31"),
+    });
+});
+
+test("parseRetrievalFilters refuses malformed filters", () => {
+    assert.equal(parseRetrievalFilters("tags=rates").error, "filters must be an object");
+    assert.equal(parseRetrievalFilters([]).error, "filters must be an object");
+    assert.equal(parseRetrievalFilters({ owner: "me" }).error, "Unknown filter(s): owner");
+    assert.equal(parseRetrievalFilters({ product: ["a", "b"] }).error, "filters.product must be a string");
+    assert.equal(parseRetrievalFilters({ region: { $ne: "NSW" } }).error, "filters.region must be a string");
+    assert.match(parseRetrievalFilters({ confidentiality: "secret" }).error, /must be one of/);
+    assert.equal(parseRetrievalFilters({ effectiveTo: "later" }).error, "filters.effectiveTo must be a date");
+});
+
+test("bedrockFilterConditions matches the sidecar attributes", () => {
+    const { filters } = parseRetrievalFilters({ tags: ["a", "b"], region: "NSW", effectiveFrom: "2024-07-01" });
+
+    assert.deepEqual(bedrockFilterConditions(filters), [
+        { orAll: [{ listContains: { key: "tags", value: "a" } }, { listContains: { key: "tags", value: "b" } }] },
+        { equals: { key: "region", value: "NSW" } },
+        { greaterThanOrEquals: { key: "effectiveDate", value: 20240701 } },
+    ]);
+    assert.deepEqual(bedrockFilterConditions(parseRetrievalFilters({ tags: ["a"] }).filters), [
+        { listContains: { key: "tags", value: "a" } },
+    ]);
+    assert.deepEqual(bedrockFilterConditions(null), []);
+});
+
+test("documentFilterQuery builds the MongoDB query used by the local retriever", () => {
+    const { filters } = parseRetrievalFilters({ tags: ["a"], product: "Cards", confidentiality: "public", effectiveTo: "2024-12-31" });
+
+    assert.deepEqual(documentFilterQuery(filters), {
+        tags: { $in: ["a"] },
+        "metadata.product": "Cards",
+        "metadata.confidentiality": { $in: ["public"] },
+        "metadata.effectiveDate": { $lte: new Date("2024-12-31") },
+    });
+});
+
+test("hasDocumentMetadata ignores empty tags and unset fields", () => {
+    assert.equal(hasDocumentMetadata({ tags: [], metadata: { product: null } }), false);
+    assert.equal(hasDocumentMetadata({ tags: ["a"] }), true);
+    assert.equal(hasDocumentMetadata({ tags: [], metadata: { region: "NSW" } }), true);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateFeedback, FEEDBACK_COMMENT_MAX_LENGTH } from "../utils/feedbackService.js";
+
+test("validateFeedback accepts a rating with an optional category and comment", () => {
+    assert.equal(validateFeedback({ rating: "up" }), null);
+    assert.equal(validateFeedback({ rating: "down", category: "outdated", comment: "Rates changed in March" }), null);
+});
+
+test("validateFeedback refuses unknown ratings and categories and non-string comments", () => {
+    assert.match(validateFeedback({ rating: "meh" }), /Rating must be one of/);
+    assert.match(validateFeedback({ rating: "down", category: "rude" }), /Category must be one of/);
+    assert.equal(validateFeedback({ rating: "down", comment: 5 }), "Comment must be a string");
+});
+
+test("validateFeedback refuses comments longer than the limit", () => {
+    assert.equal(validateFeedback({ rating: "down", comment: "x".repeat(FEEDBACK_COMMENT_MAX_LENGTH) }), null);
+    assert.equal(
+        validateFeedback({ rating: "down", comment: "x".repeat(FEEDBACK_COMMENT_MAX_LENGTH + 1) }),
+        `Comment must be at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters`
+    );
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { streamTimeoutSignal, modelSelectionError } from "../utils/llmService.js";
+
+test("streamTimeoutSignal aborts a stream that stays idle", async () => {
+    const { signal, clear } = streamTimeoutSignal({ timeoutMs: 30 });
+
+    await sleep(60);
+    assert.equal(signal.aborted, true);
+    clear();
+});
+
+test("streamTimeoutSignal keeps a stream alive while chunks keep arriving", async () => {
+    const { signal, touch, clear } = streamTimeoutSignal({ timeoutMs: 50 });
+
+    // Runs well past the timeout in total, but never waits that long for one chunk
+    for (let chunk = 0; chunk < 6; chunk++) {
+        await sleep(20);
+        touch();
+    }
+    assert.equal(signal.aborted, false);
+    clear();
+});
+
+test("streamTimeoutSignal follows the caller's signal", () => {
+    const caller = new AbortController();
+    const { signal, clear } = streamTimeoutSignal({ timeoutMs: 1000, abortSignal: caller.signal });
+
+    caller.abort();
+    assert.equal(signal.aborted, true);
+    clear();
+});
+
+test("modelSelectionError refuses the mock provider unless it is LLM_PROVIDER", () => {
+    assert.match(modelSelectionError("mock"), /Provider "mock" is not configured/);
+    assert.equal(modelSelectionError("bedrock"), null);
+});
+
+test("modelSelectionError refuses OpenAI until its API key is set", () => {
+    const apiKey = process.env.OPENAI_API_KEY;
+    try {
+        delete process.env.OPENAI_API_KEY;
+        assert.match(modelSelectionError("openai"), /Provider "openai" is not configured/);
+
+        process.env.OPENAI_API_KEY = "sk-test";
+        assert.equal(modelSelectionError("openai"), null);
+    } finally {
+        if (apiKey === undefined) delete process.env.OPENAI_API_KEY;
+        else process.env.OPENAI_API_KEY = apiKey;
+    }
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Local storage under a temporary root; read when the modules load
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "local-retriever-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_DIR = path.join(root, "uploads");
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+
+const { storage } = await import("../utils/storageService.js");
+const { createLocalVectorStore } = await import("../utils/localVectorStore.js");
+const { createLocalRetriever } = await import("../utils/retrieverService.js");
+
+const indexPath = path.join(root, "index", "vector-index.json");
+let retriever;
+
+const documentOf = async (id, fileName, text) => {
+    await storage.put(fileName, Buffer.from(text), "text/plain");
+    return { _id: id, fileName, objectKey: fileName, contentType: "text/plain" };
+};
+
+const mortgages = { dataSourceId: "DS-MORTGAGES" };
+const savings = { dataSourceId: "DS-SAVINGS" };
+
+before(() => {
+    retriever = createLocalRetriever({ vectorStore: createLocalVectorStore({ indexPath }) });
+});
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test("indexDocument stores the file's chunks and marks the document complete", async () => {
+    const document = await documentOf("doc-rates", "rates.txt", "Fixed home loan interest rates start at six percent.");
+
+    await retriever.indexDocument(document, mortgages);
+
+    assert.equal(document.indexingStatus, "complete");
+    assert.equal(document.indexingError, null);
+    assert.ok(document.indexedAt instanceof Date);
+
+    const stored = JSON.parse(await fs.readFile(indexPath, "utf8"));
+    assert.deepEqual(
+        stored.map(({ documentId, key, dataSourceId }) => [documentId, key, dataSourceId]),
+        [["doc-rates", "rates.txt", "DS-MORTGAGES"]]
+    );
+});
+
+test("retrieve returns matching passages with local:// locations, scoped by data source", async () => {
+    await retriever.indexDocument(await documentOf("doc-bonus", "bonus.txt", "Savings accounts earn a bonus interest rate monthly."), savings);
+
+    const hits = await retriever.retrieve({ query: "home loan interest rates" });
+    assert.equal(hits[0].location, "local://rates.txt");
+    assert.match(hits[0].content, /home loan/);
+
+    const scoped = await retriever.retrieve({ query: "interest rate", dataSourceId: "DS-SAVINGS" });
+    assert.deepEqual(scoped.map((hit) => hit.location), ["local://bonus.txt"]);
+
+    const allowed = await retriever.retrieve({ query: "interest rate", dataSourceIds: ["DS-MORTGAGES"] });
+    assert.deepEqual(allowed.map((hit) => hit.location), ["local://rates.txt"]);
+});
+
+test("indexDocuments marks only the files that fail", async () => {
+    const good = await documentOf("doc-fees", "fees.txt", "Account keeping fees are waived for students.");
+    const missing = { _id: "doc-missing", fileName: "missing.txt", objectKey: "missing.txt", contentType: "text/plain" };
+
+    await retriever.indexDocuments([good, missing], savings);
+
+    assert.equal(good.indexingStatus, "complete");
+    assert.equal(missing.indexingStatus, "failed");
+    assert.ok(missing.indexingError);
+});
+
+test("removeDocument drops the document from search results", async () => {
+    await retriever.removeDocument({ _id: "doc-rates" });
+
+    const hits = await retriever.retrieve({ query: "home loan interest rates" });
+    assert.ok(hits.every((hit) => hit.location !== "local://rates.txt"));
+
+    // A fresh store reads the same index back from disk
+    const reloaded = createLocalRetriever({ vectorStore: createLocalVectorStore({ indexPath }) });
+    const reloadedHits = await reloaded.retrieve({ query: "students fees" });
+    assert.equal(reloadedHits[0].location, "local://fees.txt");
+    assert.ok(reloadedHits.every((hit) => hit.location !== "local://rates.txt"));
+});
@@ -0,0 +1,64 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeFileName, validateUpload, setUploadScanner, scanUpload, formatBytes, MAX_UPLOAD_BYTES } from "../utils/uploadValidation.js";
+
+const pdf = Buffer.from("%PDF-1.7\n...");
+
+afterEach(() => setUploadScanner(null));
+
+test("sanitizeFileName drops directories, accents and unsafe characters", () => {
+    assert.equal(sanitizeFileName("../../etc/passwd"), "passwd");
+    assert.equal(sanitizeFileName("C:\\Users\\me\\Résumé final.PDF"), "Resume-final.pdf");
+    assert.equal(sanitizeFileName('rates"\r\n<2024>.txt'), "rates-2024.txt");
+    assert.equal(sanitizeFileName("---.txt"), "file.txt");
+    assert.equal(sanitizeFileName(), "file");
+    assert.equal(sanitizeFileName(`${"a".repeat(300)}.txt`), `${"a".repeat(100)}.txt`);
+});
+
+test("formatBytes reports limits under 1 MB in KB, with one decimal where needed", () => {
+    assert.equal(formatBytes(1024), "1 KB");
+    assert.equal(formatBytes(300 * 1024), "300 KB");
+    assert.equal(formatBytes(1536 * 1024), "1.5 MB");
+    assert.equal(formatBytes(25 * 1024 * 1024), "25 MB");
+});
+
+test("validateUpload accepts an allowed file whose bytes match its extension", () => {
+    assert.deepEqual(validateUpload({ originalname: "rates.pdf", buffer: pdf, size: pdf.length }), {
+        fileName: "rates.pdf",
+        contentType: "application/pdf",
+        extension: "pdf",
+    });
+});
+
+test("validateUpload refuses disallowed types, empty files and oversized files", () => {
+    assert.equal(validateUpload({ originalname: "run.exe", buffer: Buffer.from("MZ"), size: 2 }).status, 415);
+    assert.equal(validateUpload({ originalname: "empty.txt", buffer: Buffer.alloc(0), size: 0 }).status, 400);
+    assert.equal(validateUpload({ originalname: "big.pdf", buffer: pdf, size: MAX_UPLOAD_BYTES + 1 }).status, 413);
+    assert.equal(validateUpload({ originalname: "big.pdf", size: 2048 }, { maxBytes: 1024 }).status, 413);
+});
+
+test("validateUpload refuses content that does not match the extension", () => {
+    assert.equal(validateUpload({ originalname: "fake.pdf", buffer: Buffer.from("MZ\x90\x00"), size: 4 }).status, 415);
+    assert.equal(validateUpload({ originalname: "notes.txt", buffer: Buffer.from([0x41, 0x00, 0x42]), size: 3 }).status, 415);
+    assert.equal(validateUpload({ originalname: "letter.docx", buffer: Buffer.from("PK\x03\x04xl/"), size: 8 }).status, 415);
+});
+
+test("validateUpload checks only the name and size without a buffer", () => {
+    assert.equal(validateUpload({ originalname: "rates.pdf", size: 10 }).fileName, "rates.pdf");
+});
+
+test("scanUpload passes files when no scanner is configured", async () => {
+    setUploadScanner(null);
+    assert.equal(await scanUpload({ buffer: pdf, fileName: "rates.pdf" }), null);
+});
+
+test("scanUpload refuses files the scanner flags, and fails closed when it throws", async () => {
+    setUploadScanner(async ({ fileName }) => ({ clean: fileName !== "eicar.txt", reason: "test signature" }));
+    assert.equal(await scanUpload({ fileName: "rates.pdf" }), null);
+    assert.deepEqual(await scanUpload({ fileName: "eicar.txt" }), { status: 422, message: "File rejected by scan: test signature" });
+
+    setUploadScanner(async () => {
+        throw new Error("scanner offline");
+    });
+    assert.equal((await scanUpload({ fileName: "rates.pdf" })).status, 503);
+});
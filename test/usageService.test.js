@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import UsageCounter from "../models/usageCounter.js";
+import { USAGE_LIMITS, consumeGeneration, consumeUpload, usageSummary } from "../utils/usageService.js";
+
+// In-memory stand-in for the usage_counters collection, supporting the queries usageService makes
+let counters;
+
+const keyOf = ({ subject, window, windowStart }) => `${subject}|${window}|${windowStart.getTime()}`;
+
+const matches = (counter, { count, ...key }) =>
+    keyOf(counter) === keyOf(key) &&
+    (count?.$lt === undefined || counter.count < count.$lt) &&
+    (count?.$gt === undefined || counter.count > count.$gt);
+
+const increment = (filter, { $inc }) => {
+    const counter = [...counters.values()].find((candidate) => matches(candidate, filter));
+    if (!counter) return null;
+    counter.count += $inc.count;
+    return { ...counter };
+};
+
+const limits = { ...USAGE_LIMITS };
+
+beforeEach(() => {
+    counters = new Map();
+    Object.assign(USAGE_LIMITS, { userPerMinute: 2, ipPerMinute: 3, userPerDay: 5, userPerMonth: 0, uploadsPerMinute: 1, uploadsPerDay: 10 });
+
+    mock.method(UsageCounter, "find", ({ $or }) => ({
+        lean: async () => [...counters.values()].filter((counter) => $or.some((key) => matches(counter, key))),
+    }));
+    mock.method(UsageCounter, "findOne", async (key) => counters.get(keyOf(key)) || null);
+    mock.method(UsageCounter, "findOneAndUpdate", async (filter, update) => increment(filter, update));
+    mock.method(UsageCounter, "updateOne", async (filter, update) => {
+        if (update.$setOnInsert) {
+            if (!counters.has(keyOf(filter))) counters.set(keyOf(filter), { ...filter, ...update.$setOnInsert });
+            return;
+        }
+        increment(filter, update);
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    Object.assign(USAGE_LIMITS, limits);
+});
+
+const countOf = (subject, window) => [...counters.values()].find((counter) => counter.subject === subject && counter.window === window)?.count;
+
+test("consumeGeneration counts a request against every active limit", async () => {
+    const { exceeded } = await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+
+    assert.equal(exceeded, null);
+    assert.equal(countOf("user:u1", "minute"), 1);
+    assert.equal(countOf("ip:1.2.3.4", "minute"), 1);
+    assert.equal(countOf("user:u1", "day"), 1);
+    // A limit of 0 is switched off and never counted
+    assert.equal(countOf("user:u1", "month"), undefined);
+});
+
+test("consumeGeneration refuses a request once a limit is used up, without counting it", async () => {
+    await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+    await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+    const { exceeded } = await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+
+    assert.equal(exceeded.window, "minute");
+    assert.equal(exceeded.limit, 2);
+    assert.ok(exceeded.resetAt > new Date());
+    assert.equal(countOf("ip:1.2.3.4", "minute"), 2);
+    assert.equal(countOf("user:u1", "day"), 2);
+});
+
+test("consumeGeneration gives back claims already taken when a limit fills up meanwhile", async () => {
+    await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+    // The IP counter fills up between the check and the claims
+    UsageCounter.find.mock.mockImplementationOnce(() => ({ lean: async () => [] }));
+    [...counters.values()].find((counter) => counter.subject === "ip:1.2.3.4").count = 3;
+
+    const { exceeded } = await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+
+    assert.equal(exceeded.limit, 3);
+    assert.equal(countOf("user:u1", "minute"), 1);
+    assert.equal(countOf("user:u1", "day"), 1);
+});
+
+test("release hands a request back", async () => {
+    const { release } = await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+    await release();
+
+    assert.equal(countOf("user:u1", "minute"), 0);
+    assert.equal(countOf("ip:1.2.3.4", "minute"), 0);
+    assert.equal(countOf("user:u1", "day"), 0);
+});
+
+test("consumeUpload uses counters separate from generation", async () => {
+    assert.equal((await consumeUpload({ userId: "u1" })).exceeded, null);
+    assert.equal((await consumeUpload({ userId: "u1" })).exceeded.limit, 1);
+    assert.equal((await consumeGeneration({ userId: "u1", ip: "1.2.3.4" })).exceeded, null);
+    assert.equal(countOf("uploads:user:u1", "day"), 1);
+});
+
+test("consumeUpload passes without touching MongoDB when every upload limit is off", async () => {
+    Object.assign(USAGE_LIMITS, { uploadsPerMinute: 0, uploadsPerDay: 0 });
+
+    const { exceeded, release } = await consumeUpload({ userId: "u1" });
+    await release();
+
+    assert.equal(exceeded, null);
+    assert.equal(UsageCounter.find.mock.callCount(), 0);
+    assert.equal(UsageCounter.updateOne.mock.callCount(), 0);
+});
+
+test("usageSummary reports what is left of each window", async () => {
+    await consumeGeneration({ userId: "u1", ip: "1.2.3.4" });
+    const summary = await usageSummary("u1");
+
+    assert.deepEqual(
+        { limit: summary.minute.limit, used: summary.minute.used, remaining: summary.minute.remaining },
+        { limit: 2, used: 1, remaining: 1 }
+    );
+    assert.equal(summary.day.remaining, 4);
+    assert.equal(summary.month.limit, null);
+    assert.equal(summary.month.remaining, null);
+});
@@ -0,0 +1,144 @@
+import dotenv from "dotenv";
+import { retriever } from "./retrieverService.js";
+import {
+    parseModelSelection,
+    generateText,
+    streamText,
+    withTimeout,
+    streamTimeoutSignal,
+    PRIMARY_PROVIDER,
+    FALLBACK_PROVIDER,
+} from "./llmService.js";
+
+dotenv.config();
+
+const SYSTEM_PROMPT =
+    "You are PipGPT, an assistant for banking staff. Answer using only the numbered passages provided. " +
+    "If they do not contain the answer, say you don't know. Refer to passages by their number, e.g. [1].";
+
+// Bedrock's own RetrieveAndGenerate is used when the knowledge base is Bedrock and a
+// Bedrock model (or no model) was requested; everything else retrieves passages and
+// hands them to the LLM layer.
+const usesNativeGeneration = (selection) =>
+    typeof retriever.generate === "function" &&
+    (selection ? selection.provider === "bedrock" : PRIMARY_PROVIDER === "bedrock");
+
+// Prompt for generating from retrieved passages
+const buildPassagePrompt = (query, conversationContext, passages) => {
+    const numbered = passages.map((passage, i) => `[${i + 1}] ${passage.content}`).join("\n\n");
+    return [
+        conversationContext ? `Conversation so far:\n${conversationContext}\n` : "",
+        `Passages:\n${numbered || "(no passages found)"}\n`,
+        `Question: ${query}`,
+    ].join("\n");
+};
+
+// All passages support the generated answer as a whole
+const passageCitations = (text, passages) => (passages.length ? [{ text, references: passages }] : []);
+
+// **Answer from retrieved passages** with the selected (or primary) provider
+const answerFromPassages = async ({ query, conversationContext, knowledgeBaseId, dataSourceId, dataSourceIds, filters, selection, abortSignal }) => {
+    const passages = await retriever.retrieve({ query, knowledgeBaseId, dataSourceId, dataSourceIds, filters, abortSignal });
+    const { text, provider, model } = await generateText({
+        selection,
+        system: SYSTEM_PROMPT,
+        messages: [{ role: "user", content: buildPassagePrompt(query, conversationContext, passages) }],
+        abortSignal,
+    });
+
+    return { text: text || "No response generated.", citations: passageCitations(text, passages), model: `${provider}:${model}` };
+};
+
+// **Answer a question from the knowledge base**
+// `model` is an optional per-request selection such as "openai:gpt-4o" (see parseModelSelection);
+// knowledgeBaseId/dataSourceId narrow retrieval to one registered data source, dataSourceIds to
+// the ones a user may access, and `filters` (see parseRetrievalFilters) to documents whose tags
+// and metadata match.
+// Returns { text, citations, model } where model records the provider:model actually used.
+export const answerQuestion = async ({ query, conversationContext, knowledgeBaseId, dataSourceId, dataSourceIds, filters, model, abortSignal }) => {
+    const selection = parseModelSelection(model);
+
+    if (!usesNativeGeneration(selection)) {
+        return answerFromPassages({ query, conversationContext, knowledgeBaseId, dataSourceId, dataSourceIds, filters, selection, abortSignal });
+    }
+
+    try {
+        const modelArn = selection?.model || process.env.MODEL_ARN;
+        const { text, citations } = await withTimeout(
+            (signal) =>
+                retriever.generate({ query, conversationContext, knowledgeBaseId, dataSourceId, dataSourceIds, filters, modelArn, abortSignal: signal }),
+            { abortSignal }
+        );
+        return { text, citations, model: `bedrock:${modelArn}` };
+    } catch (error) {
+        if (!FALLBACK_PROVIDER || abortSignal?.aborted) throw error;
+
+        console.error(`❌ Knowledge base generation failed, falling back to ${FALLBACK_PROVIDER}:`, error.message);
+        return answerFromPassages({
+            query,
+            conversationContext,
+            knowledgeBaseId,
+            dataSourceId,
+            dataSourceIds,
+            filters,
+            selection: { provider: FALLBACK_PROVIDER, model: null },
+            abortSignal,
+        });
+    }
+};
+
+// **Stream an answer from the knowledge base**
+// Yields { type: "token", text }, { type: "citation", citation } and finally { type: "model", model }.
+export const streamAnswer = async function* ({ query, conversationContext, knowledgeBaseId, dataSourceId, dataSourceIds, filters, model, abortSignal }) {
+    const selection = parseModelSelection(model);
+
+    if (usesNativeGeneration(selection)) {
+        const modelArn = selection?.model || process.env.MODEL_ARN;
+        let emitted = false;
+        // Same timeout as the other providers' streams (see streamText)
+        const { signal, touch, clear } = streamTimeoutSignal({ abortSignal });
+        try {
+            for await (const event of retriever.stream({
+                query,
+                conversationContext,
+                knowledgeBaseId,
+                dataSourceId,
+                dataSourceIds,
+                filters,
+                modelArn,
+                abortSignal: signal,
+            })) {
+                touch();
+                emitted = true;
+                yield event;
+            }
+            yield { type: "model", model: `bedrock:${modelArn}` };
+            return;
+        } catch (error) {
+            if (emitted || !FALLBACK_PROVIDER || abortSignal?.aborted) throw error;
+            console.error(`❌ Knowledge base streaming failed, falling back to ${FALLBACK_PROVIDER}:`, error.message);
+        } finally {
+            clear();
+        }
+    }
+
+    const passages = await retriever.retrieve({ query, knowledgeBaseId, dataSourceId, dataSourceIds, filters, abortSignal });
+    let text = "";
+
+    for await (const event of streamText({
+        selection: usesNativeGeneration(selection) ? { provider: FALLBACK_PROVIDER, model: null } : selection,
+        system: SYSTEM_PROMPT,
+        messages: [{ role: "user", content: buildPassagePrompt(query, conversationContext, passages) }],
+        abortSignal,
+    })) {
+        if (event.type === "token") {
+            text += event.text;
+            yield event;
+        } else {
+            for (const citation of passageCitations(text, passages)) {
+                yield { type: "citation", citation };
+            }
+            yield { type: "model", model: `${event.provider}:${event.model}` };
+        }
+    }
+};
@@ -0,0 +1,140 @@
+import path from "path";
+import zlib from "zlib";
+import AdmZip from "adm-zip";
+import { MAX_UPLOAD_BYTES, MAX_BATCH_FILES, MAX_BATCH_BYTES, formatBytes } from "./uploadValidation.js";
+import UploadBatch from "../models/uploadBatch.js";
+
+// A batch still "processing" without progress for this long was interrupted (every file
+// processed updates it)
+const STALE_BATCH_MS = 30 * 60 * 1000;
+
+// DOCX files are ZIPs too, so an archive needs both the .zip name and the ZIP signature
+const isZipArchive = (file) =>
+    path.extname(file.originalname).toLowerCase() === ".zip" && file.buffer.subarray(0, 4).equals(Buffer.from("PK\x03\x04"));
+
+// Folders, macOS resource forks and dotfiles are packaging noise, not documents
+const isPackagingEntry = (entry) =>
+    entry.isDirectory || entry.entryName.startsWith("__MACOSX/") || path.basename(entry.entryName).startsWith(".");
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// **Inflate one archive entry**, never producing more than maxBytes
+// Header sizes come from the uploader, so they are not trusted: the output itself is capped
+// and inflation stops as soon as it passes the cap. Returns { buffer } or { reason }.
+const inflateEntry = (entry, maxBytes) => {
+    if (entry.header.encrypted) return { reason: "Encrypted archive entries are not supported" };
+
+    const data = entry.getCompressedData();
+    if (entry.header.method === ZIP_STORED) {
+        return data.length > maxBytes ? { reason: "tooLarge" } : { buffer: data };
+    }
+    if (entry.header.method !== ZIP_DEFLATED) return { reason: "Unsupported compression method" };
+
+    try {
+        return { buffer: zlib.inflateRawSync(data, { maxOutputLength: maxBytes }) };
+    } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") return { reason: "tooLarge" };
+        return { reason: `Corrupt archive entry: ${err.message}` };
+    }
+};
+
+// **Expand ZIP archives in a bulk upload** into the files they contain
+// The file count is checked before an entry is inflated, and inflation is capped at the
+// per-file limit and at what is left of the batch's total size, so a ZIP bomb (even one with
+// false header sizes) cannot fill memory.
+// Returns { files: [{ originalname, buffer, size, archive }], rejected: [{ fileName, archive, reason }] }.
+export const expandUploads = (uploads) => {
+    const files = [];
+    const rejected = [];
+    let totalBytes = 0;
+
+    const reject = (fileName, archive, reason) => rejected.push({ fileName, archive, reason });
+    const full = () => files.length >= MAX_BATCH_FILES;
+    const accept = (file) => {
+        files.push(file);
+        totalBytes += file.size;
+    };
+
+    for (const upload of uploads) {
+        if (!isZipArchive(upload)) {
+            if (full()) {
+                reject(upload.originalname, null, `Batches are limited to ${MAX_BATCH_FILES} files`);
+            } else if (totalBytes + upload.size > MAX_BATCH_BYTES) {
+                reject(upload.originalname, null, `Batches are limited to ${formatBytes(MAX_BATCH_BYTES)} in total`);
+            } else {
+                accept({ originalname: upload.originalname, buffer: upload.buffer, size: upload.size, archive: null });
+            }
+            continue;
+        }
+
+        let entries;
+        try {
+            entries = new AdmZip(upload.buffer).getEntries();
+        } catch (err) {
+            reject(upload.originalname, null, `Invalid ZIP archive: ${err.message}`);
+            continue;
+        }
+
+        for (const entry of entries.filter((entry) => !isPackagingEntry(entry))) {
+            const fileName = path.basename(entry.entryName);
+            const archive = upload.originalname;
+
+            if (full()) {
+                reject(fileName, archive, `Batches are limited to ${MAX_BATCH_FILES} files`);
+                continue;
+            }
+            if (path.extname(fileName).toLowerCase() === ".zip") {
+                reject(fileName, archive, "Nested ZIP archives are not supported");
+                continue;
+            }
+
+            const remainingBytes = MAX_BATCH_BYTES - totalBytes;
+            const { buffer, reason } = inflateEntry(entry, Math.min(MAX_UPLOAD_BYTES, remainingBytes));
+            if (reason === "tooLarge") {
+                reject(
+                    fileName,
+                    archive,
+                    remainingBytes < MAX_UPLOAD_BYTES
+                        ? `Batches are limited to ${formatBytes(MAX_BATCH_BYTES)} in total`
+                        : `File is larger than the ${formatBytes(MAX_UPLOAD_BYTES)} limit`
+                );
+            } else if (reason) {
+                reject(fileName, archive, reason);
+            } else {
+                accept({ originalname: fileName, buffer, size: buffer.length, archive });
+            }
+        }
+    }
+
+    return { files, rejected };
+};
+
+// **Fail bulk uploads interrupted by a restart**
+// Batches are processed in the memory of the instance that accepted them and are never
+// resumed, so one left "processing" would otherwise be polled forever. Runs at startup and
+// then periodically; the staleness threshold leaves batches other instances are working on alone.
+export const startInterruptedBatchCleanup = () => {
+    const failInterrupted = async () => {
+        try {
+            const { modifiedCount } = await UploadBatch.updateMany(
+                { status: "processing", updatedAt: { $lt: new Date(Date.now() - STALE_BATCH_MS) } },
+                {
+                    $set: {
+                        status: "failed",
+                        error: "Processing was interrupted (the server restarted); upload the remaining files again",
+                        completedAt: new Date(),
+                    },
+                }
+            );
+            if (modifiedCount) console.log(`🔄 Marked ${modifiedCount} interrupted upload batch(es) as failed`);
+        } catch (error) {
+            console.error("❌ Error failing interrupted upload batches:", error);
+        }
+    };
+
+    failInterrupted();
+    const timer = setInterval(failInterrupted, STALE_BATCH_MS);
+    timer.unref(); // Never keep the process alive just for cleanup
+    return timer;
+};
@@ -0,0 +1,54 @@
+// Chat.history holds every version of every message. Each message points at the one it
+// follows through parentId, so edits and regenerated answers become sibling branches and
+// Chat.activeMessageId marks the end of the branch the user is looking at.
+// Messages saved before branching existed have no parentId and simply follow the
+// message before them in the array.
+
+const idOf = (value) => (value ? String(value) : null);
+
+// **Id of the message a history entry follows** (null for the first question)
+export const parentIdOf = (history, index) => {
+    const message = history[index];
+    if (message.parentId !== undefined) return idOf(message.parentId);
+    return index > 0 ? String(history[index - 1]._id) : null;
+};
+
+// **Last message of the active branch**
+export const activeLeafId = (chat) =>
+    idOf(chat.activeMessageId) || idOf(chat.history[chat.history.length - 1]?._id);
+
+// **Messages from the start of the conversation down to leafId**, in order
+export const branchTo = (history, leafId) => {
+    const entries = new Map(history.map((message, index) => [String(message._id), { message, index }]));
+    const branch = [];
+
+    for (let id = idOf(leafId); id && entries.has(id) && branch.length < history.length; ) {
+        const { message, index } = entries.get(id);
+        branch.unshift(message);
+        id = parentIdOf(history, index);
+    }
+    return branch;
+};
+
+// **The branch the user is currently looking at**
+export const activeBranch = (chat) => branchTo(chat.history, activeLeafId(chat));
+
+// **Every version of a message**: the messages sharing its parent, oldest first
+export const siblingIds = (history, messageId) => {
+    const index = history.findIndex((message) => String(message._id) === idOf(messageId));
+    if (index === -1) return [];
+
+    const parentId = parentIdOf(history, index);
+    return history.filter((_, i) => parentIdOf(history, i) === parentId).map((message) => String(message._id));
+};
+
+// **Newest leaf below a message**, following the most recent reply at every step
+export const latestLeafFrom = (history, messageId) => {
+    let leafId = idOf(messageId);
+    for (let depth = 0; depth < history.length; depth++) {
+        const children = history.filter((_, i) => parentIdOf(history, i) === leafId);
+        if (!children.length) break;
+        leafId = String(children[children.length - 1]._id);
+    }
+    return leafId;
+};
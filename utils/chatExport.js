@@ -0,0 +1,114 @@
+import PDFDocument from "pdfkit";
+import AdmZip from "adm-zip";
+import { activeBranch } from "./chatBranches.js";
+
+// Formats supported by GET /api/chats/:id/export
+export const EXPORT_FORMATS = {
+    md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+    json: { contentType: "application/json; charset=utf-8", extension: "json" },
+    pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+// **Whether a requested format is one of EXPORT_FORMATS** (own keys only, so "constructor" is not)
+export const isExportFormat = (format) => typeof format === "string" && Object.hasOwn(EXPORT_FORMATS, format);
+
+// Messages carry no timestamp of their own; their ObjectId records when they were created
+const messageTime = (message) => message.createdAt || message._id?.getTimestamp?.() || null;
+
+// **Flatten a chat and its sidebar entry into the data every format renders**
+// Only the active branch is exported; other versions of edited or regenerated messages are left out.
+export const buildChatExport = (chat, { title, pinned = false } = {}) => ({
+    chatId: String(chat._id),
+    title: title || chat.history[0]?.content.substring(0, 30) || "Untitled chat",
+    pinned,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+    messages: activeBranch(chat).map((message) => ({
+        role: message.role,
+        content: message.content,
+        timestamp: messageTime(message),
+        model: message.model || undefined,
+        sources: (message.citations || []).flatMap((citation) =>
+            citation.references.map((reference) => ({
+                fileName: reference.fileName || reference.key || reference.location,
+                passage: reference.content,
+            }))
+        ),
+    })),
+});
+
+// Unique source files behind an answer, in citation order
+const sourceNames = (message) => [...new Set(message.sources.map((source) => source.fileName).filter(Boolean))];
+
+const formatTime = (date) => (date ? new Date(date).toISOString().replace("T", " ").substring(0, 19) + " UTC" : "");
+
+// **Markdown export**
+export const toMarkdown = (data) => {
+    const lines = [`# ${data.title}`, "", `_Exported from PipGPT. Chat started ${formatTime(data.createdAt)}._`, ""];
+
+    for (const message of data.messages) {
+        lines.push(`## ${message.role === "user" ? "You" : "PipGPT"} · ${formatTime(message.timestamp)}`, "", message.content, "");
+
+        const sources = sourceNames(message);
+        if (sources.length) {
+            lines.push("**Sources:**", ...sources.map((name) => `- ${name}`), "");
+        }
+    }
+
+    return lines.join("\n");
+};
+
+// **JSON export**
+export const toJson = (data) => JSON.stringify(data, null, 2);
+
+// **PDF export**, resolved once pdfkit has finished writing
+export const toPdf = (data) =>
+    new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({ margin: 50, info: { Title: data.title } });
+        const chunks = [];
+        pdf.on("data", (chunk) => chunks.push(chunk));
+        pdf.on("end", () => resolve(Buffer.concat(chunks)));
+        pdf.on("error", reject);
+
+        pdf.fontSize(18).text(data.title);
+        pdf.moveDown(0.25).fontSize(9).fillColor("gray").text(`Exported from PipGPT. Chat started ${formatTime(data.createdAt)}.`);
+
+        for (const message of data.messages) {
+            pdf.moveDown()
+                .fontSize(11)
+                .fillColor("black")
+                .font("Helvetica-Bold")
+                .text(`${message.role === "user" ? "You" : "PipGPT"}  `, { continued: true })
+                .font("Helvetica")
+                .fontSize(9)
+                .fillColor("gray")
+                .text(formatTime(message.timestamp));
+            pdf.moveDown(0.25).fontSize(11).fillColor("black").text(message.content);
+
+            const sources = sourceNames(message);
+            if (sources.length) {
+                pdf.moveDown(0.25).fontSize(9).fillColor("gray").text(`Sources: ${sources.join(", ")}`);
+            }
+        }
+
+        pdf.end();
+    });
+
+// **Render a chat export in one of EXPORT_FORMATS** as a Buffer
+export const renderChatExport = async (data, format) => {
+    if (format === "pdf") return toPdf(data);
+    return Buffer.from(format === "json" ? toJson(data) : toMarkdown(data), "utf8");
+};
+
+// **Filename-safe version of a chat title**
+export const exportFileName = (data, format) =>
+    `${data.title.replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-").substring(0, 50) || "chat"}-${data.chatId}.${EXPORT_FORMATS[format].extension}`;
+
+// **Zip several chat exports** into one archive
+export const zipChatExports = async (exports, format) => {
+    const zip = new AdmZip();
+    for (const data of exports) {
+        zip.addFile(exportFileName(data, format), await renderChatExport(data, format));
+    }
+    return zip.toBuffer();
+};
@@ -0,0 +1,52 @@
+// Helpers for GET /api/chats/search
+
+const SNIPPET_RADIUS = 80; // Characters of context either side of the first match
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Crude stemming so "rates" and "rating" still highlight "rate", roughly as MongoDB's
+// text index matches them
+const stem = (word) => word.replace(/(ing|ed|(?<=[sxz]|ch|sh)es|s)$/i, "");
+
+// **Words of a search query** (quoted phrases and negations are left to MongoDB)
+export const searchTerms = (query) =>
+    [...new Set((query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map((word) => (word.length > 4 ? stem(word) : word)))];
+
+// **Wrap every match in <mark>**, HTML-escaping everything else
+const highlight = (text, pattern) => {
+    let html = "";
+    let last = 0;
+
+    for (const match of text.matchAll(pattern)) {
+        html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+};
+
+// **Find the messages that mention any term**
+// Returns [{ position, role, messageId, snippet }] where position indexes the chat's active
+// branch as GET /api/chats/:id returns it (null for messages on other branches), and the
+// snippet is HTML-escaped text around the first match, with matches in <mark>.
+export const findMatchingMessages = (history, terms, branch = history) => {
+    if (!terms.length) return [];
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu");
+    const positions = new Map(branch.map((message, index) => [String(message._id), index]));
+
+    return history.flatMap((message) => {
+        const first = message.content.search(pattern);
+        if (first === -1) return [];
+
+        const start = Math.max(0, first - SNIPPET_RADIUS);
+        const end = Math.min(message.content.length, first + SNIPPET_RADIUS * 2);
+        const snippet =
+            (start > 0 ? "…" : "") +
+            highlight(message.content.slice(start, end), pattern) +
+            (end < message.content.length ? "…" : "");
+
+        return [{ position: positions.get(String(message._id)) ?? null, role: message.role, messageId: message._id, snippet }];
+    });
+};
@@ -0,0 +1,29 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Rough token budget for prior turns sent along with a new question
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 1500;
+
+// **Estimate token count** (~4 characters per token is close enough for budgeting)
+export const estimateTokens = (text = "") => Math.ceil(text.length / 4);
+
+// **Build conversation context from a chat's persisted history**
+// Walks back from the newest message and keeps as many whole turns as fit in the budget.
+export const buildConversationContext = (history = [], tokenBudget = CONTEXT_TOKEN_BUDGET) => {
+    const lines = [];
+    let usedTokens = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+        const message = history[i];
+        const line = `${message.role === "assistant" ? "Bot" : "User"}: ${message.content}`;
+        const tokens = estimateTokens(line);
+
+        if (usedTokens + tokens > tokenBudget) break;
+
+        lines.unshift(line);
+        usedTokens += tokens;
+    }
+
+    return lines.join("\n");
+};
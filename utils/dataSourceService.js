@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+import DataSource from "../models/dataSource.js";
+
+dotenv.config();
+
+// **Whether a user may query or upload to a data source**
+export const canUseDataSource = (dataSource, userId) =>
+    !dataSource.allowedUsers.length || dataSource.allowedUsers.includes(userId);
+
+// **Data sources visible to a user**, for the client's picker
+export const listDataSourcesForUser = async (userId) => {
+    const dataSources = await DataSource.find().sort({ displayName: 1 });
+    return dataSources.filter((dataSource) => canUseDataSource(dataSource, userId));
+};
+
+// **Bedrock data source ids a user may query**, for questions that are not aimed at one data source
+// Returns null when no data source restricts its users (nothing to filter), otherwise the ids
+// of the data sources the user may use (possibly none).
+export const accessibleDataSourceIds = async (userId) => {
+    const dataSources = await DataSource.find({}, { dataSourceId: 1, allowedUsers: 1 });
+    if (dataSources.every((dataSource) => !dataSource.allowedUsers.length)) return null;
+    return dataSources.filter((dataSource) => canUseDataSource(dataSource, userId)).map((dataSource) => dataSource.dataSourceId);
+};
+
+// **Default upload target**
+export const getDefaultDataSource = () => DataSource.findOne({ isDefault: true });
+
+// **Knowledge base target of a data source**, falling back to the environment for
+// records created before the registry existed
+export const ingestionTarget = (dataSource) => ({
+    knowledgeBaseId: dataSource?.knowledgeBaseId || process.env.KNOWLEDGE_BASE_ID,
+    dataSourceId: dataSource?.dataSourceId || process.env.DATA_SOURCE_ID,
+});
+
+// **Seed the registry** from the environment variables the instant-lookup map used to read.
+// Only runs against an empty collection, so admin edits are never overwritten.
+export const seedDataSources = async () => {
+    if (await DataSource.estimatedDocumentCount()) return;
+
+    const knowledgeBaseId = process.env.KNOWLEDGE_BASE_ID;
+    const seeds = [
+        { slug: "amp-data-pipgpt", displayName: "AMP Bank Data", dataSourceId: process.env.DATA_SOURCE_ONE_ID },
+        { slug: "amp-test-data-2", displayName: "DSA Books", dataSourceId: process.env.DATA_SOURCE_TWO_ID },
+    ].filter((seed) => seed.dataSourceId);
+
+    // Uploads have always gone to DATA_SOURCE_ID; keep it as the default target
+    const defaultSeed = seeds.find((seed) => seed.dataSourceId === process.env.DATA_SOURCE_ID);
+    if (defaultSeed) {
+        defaultSeed.isDefault = true;
+    } else if (process.env.DATA_SOURCE_ID) {
+        seeds.push({ slug: "uploads", displayName: "Uploaded Documents", dataSourceId: process.env.DATA_SOURCE_ID, isDefault: true });
+    }
+
+    if (!knowledgeBaseId || !seeds.length) return;
+
+    await DataSource.insertMany(seeds.map((seed) => ({ ...seed, knowledgeBaseId })));
+    console.log(`✅ Seeded ${seeds.length} data source(s) from environment`);
+};
@@ -0,0 +1,102 @@
+import { v4 as uuidv4 } from "uuid";
+import dotenv from "dotenv";
+import Document from "../models/document.js";
+import { storage, storageForBucket, documentStorage, documentKey } from "./storageService.js";
+
+dotenv.config();
+
+// How long presigned upload URLs stay valid
+export const UPLOAD_URL_EXPIRES_IN = Number(process.env.UPLOAD_URL_EXPIRES_SECONDS) || 3600;
+
+// Files at least this big are uploaded in parts (S3 only)
+const MULTIPART_THRESHOLD = Number(process.env.UPLOAD_MULTIPART_THRESHOLD_BYTES) || 100 * 1024 * 1024;
+
+// Parts are at least 16 MB (S3's own minimum is 5 MB), and S3 allows at most 10,000 of them
+const MIN_PART_SIZE = 16 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+// Pending uploads not completed within this time are discarded
+const PENDING_UPLOAD_TTL_MS = Number(process.env.PENDING_UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Direct uploads are staged here until /complete has checked them, so no ingestion job can pick up
+// an unchecked file. Without a staging bucket they go under STAGING_PREFIX in the default bucket,
+// which must then sit outside every data source's inclusion prefixes.
+const STAGING_BUCKET = process.env.UPLOAD_STAGING_BUCKET || null;
+const STAGING_PREFIX = process.env.UPLOAD_STAGING_PREFIX || "staging/";
+
+export const pendingUploadExpiry = () => new Date(Date.now() + PENDING_UPLOAD_TTL_MS);
+
+// **Where a new direct upload of `fileName` is staged**: { target, bucket, key }
+export const stagingLocation = (fileName) => {
+    const target = storageForBucket(STAGING_BUCKET);
+    return { target, bucket: target.bucket || null, key: `${STAGING_PREFIX}${uuidv4()}-${fileName}` };
+};
+
+// **Storage and key a pending upload is written to**
+// Uploads started before staging existed were written straight to their final key.
+export const stagedObject = (document) =>
+    document.stagingKey
+        ? { target: storageForBucket(document.stagingBucket), key: document.stagingKey }
+        : { target: documentStorage(document), key: documentKey(document) };
+
+// **Copy a checked upload to its final key**, under its data source's prefix
+export const promoteStagedUpload = async (document) => {
+    if (!document.stagingKey) return;
+    const { target, key } = stagedObject(document);
+    await documentStorage(document).copy(key, documentKey(document), { sourceBucket: target.bucket });
+};
+
+// **How a file of `size` bytes should be sent**: one PUT, or parts of partSize bytes
+export const planUpload = (size, { multipart } = {}) => {
+    if (!(multipart ?? size >= MULTIPART_THRESHOLD)) {
+        return { multipart: false };
+    }
+    const partSize = Math.max(MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+    return { multipart: true, partSize, partCount: Math.max(Math.ceil(size / partSize), 1) };
+};
+
+// **Drop a pending upload**: abort its multipart upload, delete whatever reached storage and remove the record
+export const discardPendingUpload = async (document) => {
+    const { target, key } = stagedObject(document);
+
+    if (document.multipartUploadId) {
+        await target.abortMultipartUpload(key, document.multipartUploadId).catch((err) => {
+            if (err.name !== "NoSuchUpload") throw err;
+        });
+    }
+    await target.purge(key);
+    // A completion that failed after copying the file may have left it at its final key
+    if (document.stagingKey) {
+        await documentStorage(document).purge(documentKey(document));
+    }
+    await Document.deleteOne({ _id: document._id, uploadStatus: "pending" });
+};
+
+// **Discard abandoned direct uploads in the background**
+// For S3, also add a bucket lifecycle rule that aborts incomplete multipart uploads as a backstop.
+export const startPendingUploadCleanup = () => {
+    if (storage.driver === "s3" && !STAGING_BUCKET) {
+        console.log(`⚠️ UPLOAD_STAGING_BUCKET not set; direct uploads are staged under ${STAGING_PREFIX}, which no data source may ingest.`);
+    }
+
+    const timer = setInterval(async () => {
+        try {
+            const abandoned = await Document.find({ uploadStatus: "pending", uploadExpiresAt: { $lt: new Date() } });
+
+            for (const document of abandoned) {
+                try {
+                    await discardPendingUpload(document);
+                    console.log(`🔄 Discarded abandoned upload ${document._id} (${document.fileName})`);
+                } catch (error) {
+                    console.error(`❌ Error discarding upload ${document._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error("❌ Error cleaning up pending uploads:", error);
+        }
+    }, CLEANUP_INTERVAL_MS);
+
+    timer.unref(); // Never keep the process alive just for cleanup
+    return timer;
+};
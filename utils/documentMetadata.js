@@ -0,0 +1,184 @@
+import dotenv from "dotenv";
+import { documentStorage, documentKey } from "./storageService.js";
+
+dotenv.config();
+
+export const CONFIDENTIALITY_LEVELS = ["public", "internal", "confidential", "restricted"];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_FIELD_LENGTH = 100;
+
+// Multipart form fields arrive as strings: accept JSON or, for lists, comma-separated values
+const parseField = (value) => {
+    if (typeof value !== "string") return value;
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return value;
+        }
+    }
+    return value;
+};
+
+const toList = (value) => {
+    const parsed = parseField(value);
+    return (Array.isArray(parsed) ? parsed : String(parsed).split(",")).map((item) => String(item).trim()).filter(Boolean);
+};
+
+const normalizeTags = (value) => [...new Set(toList(value).map((tag) => tag.toLowerCase()))];
+
+// Dates are compared as YYYYMMDD numbers in Bedrock metadata, which supports numeric ranges
+const dateNumber = (date) => Number(date.toISOString().substring(0, 10).replace(/-/g, ""));
+
+// **Validate tags and metadata sent at upload or with PATCH**
+// Returns { tags?, metadata? } with only the parts that were sent (metadata keys set to null
+// are cleared), or { error } describing the first problem.
+export const parseDocumentMetadata = ({ tags, metadata }) => {
+    const result = {};
+
+    if (tags !== undefined) {
+        result.tags = tags === null ? [] : normalizeTags(tags);
+        if (result.tags.length > MAX_TAGS) return { error: `A document can have at most ${MAX_TAGS} tags` };
+        if (result.tags.some((tag) => tag.length > MAX_TAG_LENGTH)) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+
+    if (metadata !== undefined && metadata !== null) {
+        const parsed = parseField(metadata);
+        if (typeof parsed !== "object" || Array.isArray(parsed)) return { error: "metadata must be an object" };
+
+        const unknown = Object.keys(parsed).filter((key) => !["product", "region", "effectiveDate", "confidentiality"].includes(key));
+        if (unknown.length) return { error: `Unknown metadata field(s): ${unknown.join(", ")}` };
+
+        result.metadata = {};
+        for (const key of ["product", "region"]) {
+            if (parsed[key] === undefined) continue;
+            if (parsed[key] !== null && (typeof parsed[key] !== "string" || parsed[key].length > MAX_FIELD_LENGTH)) {
+                return { error: `metadata.${key} must be a string of at most ${MAX_FIELD_LENGTH} characters` };
+            }
+            result.metadata[key] = parsed[key]?.trim() || null;
+        }
+        if (parsed.effectiveDate !== undefined) {
+            const date = parsed.effectiveDate === null ? null : new Date(parsed.effectiveDate);
+            if (date && isNaN(date)) return { error: "metadata.effectiveDate must be a date" };
+            result.metadata.effectiveDate = date;
+        }
+        if (parsed.confidentiality !== undefined) {
+            if (parsed.confidentiality !== null && !CONFIDENTIALITY_LEVELS.includes(parsed.confidentiality)) {
+                return { error: `metadata.confidentiality must be one of: ${CONFIDENTIALITY_LEVELS.join(", ")}` };
+            }
+            result.metadata.confidentiality = parsed.confidentiality;
+        }
+    }
+
+    return result;
+};
+
+// **Validate retrieval filters** ({ tags, product, region, confidentiality, effectiveFrom, effectiveTo })
+// Tags and confidentiality match any of the given values. Returns { filters } (null when
+// nothing is filtered) or { error }.
+export const parseRetrievalFilters = (input) => {
+    if (input === undefined || input === null) return { filters: null };
+    if (typeof input !== "object" || Array.isArray(input)) return { error: "filters must be an object" };
+
+    const unknown = Object.keys(input).filter(
+        (key) => !["tags", "product", "region", "confidentiality", "effectiveFrom", "effectiveTo"].includes(key)
+    );
+    if (unknown.length) return { error: `Unknown filter(s): ${unknown.join(", ")}` };
+
+    const filters = {};
+    if (input.tags !== undefined) filters.tags = normalizeTags(input.tags);
+    for (const key of ["product", "region"]) {
+        if (input[key] === undefined || input[key] === null || input[key] === "") continue;
+        if (typeof input[key] !== "string") return { error: `filters.${key} must be a string` };
+        if (input[key].trim()) filters[key] = input[key].trim();
+    }
+    if (input.confidentiality !== undefined) {
+        filters.confidentiality = toList(input.confidentiality);
+        if (filters.confidentiality.some((level) => !CONFIDENTIALITY_LEVELS.includes(level))) {
+            return { error: `filters.confidentiality must be one of: ${CONFIDENTIALITY_LEVELS.join(", ")}` };
+        }
+    }
+    for (const key of ["effectiveFrom", "effectiveTo"]) {
+        if (!input[key]) continue;
+        filters[key] = new Date(input[key]);
+        if (isNaN(filters[key])) return { error: `filters.${key} must be a date` };
+    }
+
+    const active = Object.entries(filters).filter(([, value]) => !Array.isArray(value) || value.length);
+    return { filters: active.length ? Object.fromEntries(active) : null };
+};
+
+// Conditions combined with andAll/orAll must come in twos or more
+const combine = (operator, conditions) => (conditions.length === 1 ? conditions[0] : { [operator]: conditions });
+
+// **Bedrock RetrievalFilter conditions** for parsed filters, matching the sidecar attributes below
+export const bedrockFilterConditions = (filters) => {
+    if (!filters) return [];
+    const conditions = [];
+
+    if (filters.tags) {
+        conditions.push(combine("orAll", filters.tags.map((tag) => ({ listContains: { key: "tags", value: tag } }))));
+    }
+    if (filters.product) conditions.push({ equals: { key: "product", value: filters.product } });
+    if (filters.region) conditions.push({ equals: { key: "region", value: filters.region } });
+    if (filters.confidentiality) conditions.push({ in: { key: "confidentiality", value: filters.confidentiality } });
+    if (filters.effectiveFrom) {
+        conditions.push({ greaterThanOrEquals: { key: "effectiveDate", value: dateNumber(filters.effectiveFrom) } });
+    }
+    if (filters.effectiveTo) {
+        conditions.push({ lessThanOrEquals: { key: "effectiveDate", value: dateNumber(filters.effectiveTo) } });
+    }
+    return conditions;
+};
+
+// **MongoDB query for documents matching parsed filters** (used by the local retriever)
+export const documentFilterQuery = (filters) => {
+    const query = {};
+    if (filters.tags) query.tags = { $in: filters.tags };
+    if (filters.product) query["metadata.product"] = filters.product;
+    if (filters.region) query["metadata.region"] = filters.region;
+    if (filters.confidentiality) query["metadata.confidentiality"] = { $in: filters.confidentiality };
+    if (filters.effectiveFrom || filters.effectiveTo) {
+        query["metadata.effectiveDate"] = {};
+        if (filters.effectiveFrom) query["metadata.effectiveDate"].$gte = filters.effectiveFrom;
+        if (filters.effectiveTo) query["metadata.effectiveDate"].$lte = filters.effectiveTo;
+    }
+    return query;
+};
+
+// Bedrock reads metadata for s3://bucket/key from s3://bucket/key.metadata.json
+const sidecarKey = (document) => `${documentKey(document)}.metadata.json`;
+
+// Sidecar attributes for a document; unset fields are left out
+const metadataAttributes = (document) => {
+    const { product, region, effectiveDate, confidentiality } = document.metadata || {};
+    return Object.fromEntries(
+        Object.entries({
+            tags: document.tags?.length ? [...document.tags] : undefined,
+            product,
+            region,
+            confidentiality,
+            effectiveDate: effectiveDate ? dateNumber(effectiveDate) : undefined,
+        }).filter(([, value]) => value !== undefined && value !== null)
+    );
+};
+
+// **Whether a document has any tags or metadata** (and so needs a sidecar file)
+export const hasDocumentMetadata = (document) => Object.keys(metadataAttributes(document)).length > 0;
+
+// **Write (or remove) a document's Bedrock metadata sidecar file** next to its object
+// Changes only reach the knowledge base with the next ingestion of the data source.
+export const writeMetadataSidecar = async (document) => {
+    const attributes = metadataAttributes(document);
+
+    if (!Object.keys(attributes).length) {
+        return deleteMetadataSidecar(document);
+    }
+    await documentStorage(document).put(sidecarKey(document), Buffer.from(JSON.stringify({ metadataAttributes: attributes })), "application/json");
+};
+
+// **Remove a document's metadata sidecar file**, with any earlier versions of it
+export const deleteMetadataSidecar = (document) => documentStorage(document).purge(sidecarKey(document));
@@ -0,0 +1,81 @@
+import dotenv from "dotenv";
+import Document from "../models/document.js";
+import { generateText } from "./llmService.js";
+import { loadDocumentText, BACKGROUND_EXTRACTION_MAX_BYTES } from "./documentText.js";
+
+dotenv.config();
+
+// Only the start of long files is summarised; policies front-load their scope and contents
+const MAX_INPUT_CHARACTERS = Number(process.env.SUMMARY_MAX_INPUT_CHARACTERS) || 12000;
+
+const SUMMARY_PROMPT =
+    "You summarise documents uploaded to a banking knowledge base. Reply with JSON only, in the form " +
+    '{"summary": "...", "topics": ["..."], "suggestedQuestions": ["..."]}. ' +
+    "The summary is 2-4 sentences on what the document covers and who it is for. " +
+    "Give 3-8 short key topics and 3-5 questions a user could ask that this document answers. " +
+    "Use only information in the document.";
+
+// The first JSON object in a model reply (models sometimes wrap it in prose or code fences)
+const parseSummaryReply = (text) => {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end <= start) throw new Error("Summary reply was not JSON");
+
+    const { summary, topics, suggestedQuestions } = JSON.parse(text.substring(start, end + 1));
+    if (typeof summary !== "string" || !summary.trim()) throw new Error("Summary reply had no summary");
+
+    const strings = (list, max) => (Array.isArray(list) ? list.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim()).slice(0, max) : []);
+    return { summary: summary.trim(), topics: strings(topics, 8), suggestedQuestions: strings(suggestedQuestions, 5) };
+};
+
+// **Generate and store a document's summary, topics and suggested questions**
+// Unless `force` is set, a document that already has (or is getting) a summary is skipped,
+// so several instances noticing the same finished ingestion only summarise it once.
+// Returns the updated document, or null when it was skipped.
+export const summarizeDocument = async (document, { force = false } = {}) => {
+    const claim = force ? { _id: document._id } : { _id: document._id, summaryStatus: { $nin: ["in-progress", "complete"] } };
+    const claimed = await Document.findOneAndUpdate(claim, { $set: { summaryStatus: "in-progress", summaryError: null } }, { new: true });
+    if (!claimed) return null;
+
+    try {
+        const { pages, hasExtractableText } = await loadDocumentText(claimed, { maxBytes: BACKGROUND_EXTRACTION_MAX_BYTES });
+        if (!hasExtractableText) throw new Error("The document has no extractable text to summarise");
+
+        const text = pages.join("\n\n").substring(0, MAX_INPUT_CHARACTERS);
+        const reply = await generateText({
+            selection: process.env.SUMMARY_MODEL,
+            system: SUMMARY_PROMPT,
+            messages: [{ role: "user", content: `Document "${claimed.fileName}":\n\n${text}` }],
+            maxTokens: 700,
+            temperature: 0.2,
+        });
+
+        const fields = parseSummaryReply(reply.text);
+        console.log(`✅ Summarised ${claimed.fileName} with ${reply.provider}:${reply.model}`);
+        return Document.findByIdAndUpdate(
+            claimed._id,
+            {
+                $set: {
+                    ...fields,
+                    summaryStatus: "complete",
+                    summaryModel: `${reply.provider}:${reply.model}`,
+                    summarizedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+    } catch (err) {
+        console.error(`❌ Error summarising ${claimed.fileName}:`, err.message);
+        return Document.findByIdAndUpdate(claimed._id, { $set: { summaryStatus: "failed", summaryError: err.message } }, { new: true });
+    }
+};
+
+// **Summarise documents that have just finished indexing**, one at a time in the background
+export const summarizeIndexedDocuments = (filter) => {
+    (async () => {
+        const documents = await Document.find({ ...filter, indexingStatus: "complete", summaryStatus: null });
+        for (const document of documents) {
+            await summarizeDocument(document);
+        }
+    })().catch((err) => console.error("❌ Error summarising indexed documents:", err));
+};
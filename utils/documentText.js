@@ -0,0 +1,79 @@
+import dotenv from "dotenv";
+import Document from "../models/document.js";
+import { extractPages } from "./textExtraction.js";
+import { documentStorage, documentKey } from "./storageService.js";
+import { MAX_UPLOAD_BYTES } from "./uploadValidation.js";
+
+dotenv.config();
+
+// Fewer visible characters per page than this means the file is effectively image-only
+const MIN_CHARACTERS_PER_PAGE = Number(process.env.MIN_TEXT_CHARACTERS_PER_PAGE) || 20;
+
+// Keep cached text well under MongoDB's 16 MB document limit; larger files are re-extracted on request
+const MAX_CACHED_CHARACTERS = Number(process.env.MAX_CACHED_TEXT_CHARACTERS) || 4000000;
+
+// Larger files (direct uploads) are only read back when a client asks for their text, never in
+// background work, which holds the whole file in memory and may not run to completion on serverless hosts
+export const BACKGROUND_EXTRACTION_MAX_BYTES = MAX_UPLOAD_BYTES;
+
+const visibleCharacters = (text) => text.replace(/\s/g, "").length;
+
+// **Extract a file's text and cache it on its Document**
+// Returns { pages, pageCount, characterCount, hasExtractableText }. Extraction failures are
+// recorded on the document (textContent.error) instead of being thrown.
+export const cacheDocumentText = async (document, buffer) => {
+    try {
+        const pages = await extractPages(buffer, document.contentType, document.fileName);
+        const characterCount = pages.reduce((total, page) => total + visibleCharacters(page), 0);
+        const hasExtractableText = characterCount >= MIN_CHARACTERS_PER_PAGE * Math.max(pages.length, 1);
+
+        await Document.updateOne(
+            { _id: document._id },
+            {
+                $set: {
+                    textContent: {
+                        pages: characterCount <= MAX_CACHED_CHARACTERS ? pages : undefined,
+                        pageCount: pages.length,
+                        characterCount,
+                        extractedAt: new Date(),
+                    },
+                    hasExtractableText,
+                },
+            }
+        );
+
+        if (!hasExtractableText) {
+            console.log(`⚠️ No extractable text in ${document.fileName} (${pages.length} page(s)), it may be scanned`);
+        }
+        return { pages, pageCount: pages.length, characterCount, hasExtractableText };
+    } catch (err) {
+        console.error(`❌ Text extraction failed for ${document.fileName}:`, err);
+        await Document.updateOne(
+            { _id: document._id },
+            { $set: { textContent: { extractedAt: new Date(), error: err.message }, hasExtractableText: false } }
+        );
+        return { pages: [], pageCount: 0, characterCount: 0, hasExtractableText: false, error: err.message };
+    }
+};
+
+// **Per-page text of a document**, from the cache or by extracting it from storage
+// Files over `maxBytes` are not read back from storage; that throws instead.
+export const loadDocumentText = async (document, { maxBytes = Infinity } = {}) => {
+    const cached = await Document.findById(document._id).select("+textContent.pages");
+    const { textContent } = cached || {};
+
+    if (textContent?.pages?.length && !textContent.error) {
+        return {
+            pages: textContent.pages,
+            pageCount: textContent.pageCount,
+            characterCount: textContent.characterCount,
+            hasExtractableText: cached.hasExtractableText,
+        };
+    }
+
+    if (document.size > maxBytes) {
+        throw new Error(`${document.fileName} is too large to extract here; request its text first`);
+    }
+    const { body } = await documentStorage(document).get(documentKey(document));
+    return cacheDocumentText(document, body);
+};
@@ -0,0 +1,86 @@
+import dotenv from "dotenv";
+import Chat from "../models/chat.js";
+import Document from "../models/document.js";
+import DataSource from "../models/dataSource.js";
+
+dotenv.config();
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const FEEDBACK_CATEGORIES = ["hallucination", "outdated", "missing-source"];
+
+// Longest comment kept with a rating (characters)
+export const FEEDBACK_COMMENT_MAX_LENGTH = 2000;
+
+// Report buckets accepted by $dateTrunc
+export const REPORT_INTERVALS = ["day", "week", "month"];
+
+// **Data sources behind an answer**, taken from the documents it cited
+export const citedDataSources = async (citations = []) => {
+    const documentIds = citations.flatMap((citation) => citation.references.map((reference) => reference.documentId).filter(Boolean));
+    if (!documentIds.length) return [];
+
+    const dataSources = await Document.distinct("dataSource", { _id: { $in: documentIds } });
+    return dataSources.filter(Boolean);
+};
+
+// **Check a feedback payload** and return an error message, or null when it is valid
+export const validateFeedback = ({ rating, category, comment }) => {
+    if (!FEEDBACK_RATINGS.includes(rating)) return `Rating must be one of: ${FEEDBACK_RATINGS.join(", ")}`;
+    if (category && !FEEDBACK_CATEGORIES.includes(category)) return `Category must be one of: ${FEEDBACK_CATEGORIES.join(", ")}`;
+    if (comment !== undefined && typeof comment !== "string") return "Comment must be a string";
+    if (comment?.length > FEEDBACK_COMMENT_MAX_LENGTH) return `Comment must be at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters`;
+    return null;
+};
+
+// Count of feedback entries matching a condition, for $group
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// **Aggregate feedback by data source, model and time window**
+// Answers that cited no indexed documents are reported with dataSource null.
+export const feedbackReport = async ({ from, to, interval = "week", model, dataSourceId } = {}) => {
+    const match = { "history.feedback.rating": { $exists: true } };
+    if (from || to) {
+        match["history.feedback.createdAt"] = {};
+        if (from) match["history.feedback.createdAt"].$gte = from;
+        if (to) match["history.feedback.createdAt"].$lte = to;
+    }
+    if (model) match["history.model"] = model;
+
+    const rows = await Chat.aggregate([
+        { $match: { "history.feedback": { $exists: true } } },
+        { $unwind: "$history" },
+        { $match: match },
+        { $unwind: { path: "$history.feedback.dataSources", preserveNullAndEmptyArrays: true } },
+        ...(dataSourceId ? [{ $match: { "history.feedback.dataSources": dataSourceId } }] : []),
+        {
+            $group: {
+                _id: {
+                    dataSource: { $ifNull: ["$history.feedback.dataSources", null] },
+                    model: { $ifNull: ["$history.model", null] },
+                    period: { $dateTrunc: { date: "$history.feedback.createdAt", unit: interval } },
+                },
+                total: { $sum: 1 },
+                up: countWhere({ $eq: ["$history.feedback.rating", "up"] }),
+                down: countWhere({ $eq: ["$history.feedback.rating", "down"] }),
+                hallucination: countWhere({ $eq: ["$history.feedback.category", "hallucination"] }),
+                outdated: countWhere({ $eq: ["$history.feedback.category", "outdated"] }),
+                missingSource: countWhere({ $eq: ["$history.feedback.category", "missing-source"] }),
+                comments: { $push: "$history.feedback.comment" },
+            },
+        },
+        { $lookup: { from: DataSource.collection.name, localField: "_id.dataSource", foreignField: "_id", as: "dataSource" } },
+        { $sort: { "_id.period": -1, down: -1 } },
+    ]);
+
+    return rows.map((row) => ({
+        period: row._id.period,
+        dataSource: row.dataSource[0] ? { _id: row.dataSource[0]._id, slug: row.dataSource[0].slug, displayName: row.dataSource[0].displayName } : null,
+        model: row._id.model,
+        total: row.total,
+        up: row.up,
+        down: row.down,
+        downRate: row.total ? row.down / row.total : 0,
+        categories: { hallucination: row.hallucination, outdated: row.outdated, "missing-source": row.missingSource },
+        comments: row.comments.filter(Boolean).slice(-10),
+    }));
+};
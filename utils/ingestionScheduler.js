@@ -0,0 +1,177 @@
+import { v4 as uuidv4 } from "uuid";
+import dotenv from "dotenv";
+import Document from "../models/document.js";
+import IngestionRequest from "../models/ingestionRequest.js";
+import { startIngestionJob } from "./ingestionService.js";
+
+dotenv.config();
+
+// Wait this long after the last queued change before starting a job...
+const DEBOUNCE_MS = Number(process.env.INGESTION_DEBOUNCE_MS) || 15000;
+// ...but never hold a change back for longer than this
+const MAX_WAIT_MS = Number(process.env.INGESTION_MAX_WAIT_MS) || 120000;
+// How often the queue is swept for work left by restarts or other instances
+const SWEEP_INTERVAL_MS = Number(process.env.INGESTION_SWEEP_INTERVAL_MS) || 60000;
+// Claims older than this belong to an instance that died while starting a job
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Bedrock rejects a second job on a busy data source with ConflictException
+const RETRYABLE_ERRORS = new Set([
+    "ConflictException",
+    "ThrottlingException",
+    "ServiceQuotaExceededException",
+    "TooManyRequestsException",
+]);
+
+let flushTimer = null;
+let flushAt = Infinity;
+let flushing = false;
+
+// **Run a flush after delayMs** (keeps only the earliest pending timer)
+const scheduleFlush = (delayMs) => {
+    const at = Date.now() + delayMs;
+    if (flushTimer && flushAt <= at) return;
+
+    clearTimeout(flushTimer);
+    flushAt = at;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushAt = Infinity;
+        flushIngestionQueue().catch((error) => console.error("❌ Error flushing ingestion queue:", error));
+    }, Math.max(delayMs, 0));
+    flushTimer.unref();
+};
+
+// **Backoff before retrying a rejected job**, exponential with jitter
+const backoffDelay = (attempts) =>
+    Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1)) + Math.floor(Math.random() * 1000);
+
+// **When queued requests for one data source may be turned into a job**
+const readyAt = (requests) => {
+    const created = requests.map((request) => request.createdAt.getTime());
+    const quietUntil = Math.max(...created) + DEBOUNCE_MS;
+    const deadline = Math.min(...created) + MAX_WAIT_MS;
+    const backoffUntil = Math.max(
+        0,
+        ...requests.filter((request) => request.attempts > 0).map((request) => request.nextAttemptAt.getTime())
+    );
+
+    return Math.max(backoffUntil, Math.min(quietUntil, deadline));
+};
+
+// **Start one ingestion job covering every queued request of a data source**
+const flushDataSource = async (dataSourceId) => {
+    const queued = await IngestionRequest.find({ dataSourceId, status: "queued" });
+    if (!queued.length) return;
+
+    const waitMs = readyAt(queued) - Date.now();
+    if (waitMs > 0) {
+        scheduleFlush(waitMs);
+        return;
+    }
+
+    // Claim the batch so another instance sweeping the queue cannot start it too
+    const claimToken = uuidv4();
+    await IngestionRequest.updateMany(
+        { _id: { $in: queued.map((request) => request._id) }, status: "queued" },
+        { $set: { status: "starting", claimToken } }
+    );
+    const claimed = await IngestionRequest.find({ claimToken });
+    if (!claimed.length) return;
+
+    const documentIds = claimed.map((request) => request.documentId).filter(Boolean);
+
+    try {
+        const ingestionJob = await startIngestionJob(
+            `Ingestion for ${claimed.length} queued change(s): ${[...new Set(claimed.map((r) => r.reason))].join(", ")}`,
+            { knowledgeBaseId: claimed[0].knowledgeBaseId, dataSourceId }
+        );
+
+        await Document.updateMany(
+            { _id: { $in: documentIds } },
+            { $set: { ingestionJobId: ingestionJob.ingestionJobId, indexingStatus: "in-progress", indexingError: null } }
+        );
+        await IngestionRequest.deleteMany({ claimToken });
+    } catch (error) {
+        const attempts = Math.max(...claimed.map((request) => request.attempts)) + 1;
+
+        if (RETRYABLE_ERRORS.has(error.name) && attempts < MAX_ATTEMPTS) {
+            const delay = backoffDelay(attempts);
+            console.log(`⚠️ Ingestion job rejected (${error.name}), retrying in ${Math.round(delay / 1000)}s`);
+
+            await IngestionRequest.updateMany(
+                { claimToken },
+                {
+                    $set: {
+                        status: "queued",
+                        claimToken: null,
+                        attempts,
+                        nextAttemptAt: new Date(Date.now() + delay),
+                        lastError: error.message,
+                    },
+                }
+            );
+            scheduleFlush(delay);
+            return;
+        }
+
+        console.error("❌ Error starting ingestion job in Bedrock:", error);
+        await IngestionRequest.updateMany(
+            { claimToken },
+            { $set: { status: "failed", attempts, lastError: error.message } }
+        );
+        await Document.updateMany(
+            { _id: { $in: documentIds } },
+            { $set: { indexingStatus: "failed", indexingError: error.message } }
+        );
+    }
+};
+
+// **Turn ready queued requests into ingestion jobs**
+export const flushIngestionQueue = async () => {
+    if (flushing) return;
+    flushing = true;
+
+    try {
+        await IngestionRequest.updateMany(
+            { status: "starting", updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+            { $set: { status: "queued", claimToken: null } }
+        );
+
+        const dataSourceIds = await IngestionRequest.distinct("dataSourceId", { status: "queued" });
+        for (const dataSourceId of dataSourceIds) {
+            await flushDataSource(dataSourceId);
+        }
+    } finally {
+        flushing = false;
+    }
+};
+
+// **Queue a knowledge-base sync** for an uploaded document or a deletion
+// `target` is the { knowledgeBaseId, dataSourceId } to re-sync. Bursts of changes are
+// coalesced into one job per data source once uploads go quiet; pass documentIds to queue
+// a whole batch at once so it always lands in the same job.
+export const enqueueIngestion = async ({ reason, documentId = null, documentIds = [documentId], target }) => {
+    const { knowledgeBaseId, dataSourceId } = target;
+    const requests = await IngestionRequest.insertMany(
+        documentIds.map((id) => ({ knowledgeBaseId, dataSourceId, documentId: id, reason }))
+    );
+    scheduleFlush(DEBOUNCE_MS);
+    return requests;
+};
+
+// **Process the persisted queue**, including work left over from before a restart
+export const startIngestionScheduler = () => {
+    scheduleFlush(0);
+
+    const timer = setInterval(() => {
+        flushIngestionQueue().catch((error) => console.error("❌ Error flushing ingestion queue:", error));
+    }, SWEEP_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+};
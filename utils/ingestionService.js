@@ -0,0 +1,112 @@
+import { BedrockAgentClient, StartIngestionJobCommand, GetIngestionJobCommand } from "@aws-sdk/client-bedrock-agent";
+import { v4 as uuidv4 } from "uuid";
+import dotenv from "dotenv";
+import Document from "../models/document.js";
+import { ingestionTarget } from "./dataSourceService.js";
+import { summarizeIndexedDocuments } from "./documentSummary.js";
+
+dotenv.config();
+
+// How often the background poller checks unfinished ingestion jobs
+const POLL_INTERVAL_MS = Number(process.env.INGESTION_POLL_INTERVAL_MS) || 30000;
+
+// Initialize Bedrock Agent Client (knowledge base management)
+const bedrockClient = new BedrockAgentClient({
+    region: process.env.AWS_REGION,
+    credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+});
+
+// Bedrock ingestion job status -> Document.indexingStatus
+const INDEXING_STATUS = {
+    STARTING: "pending",
+    IN_PROGRESS: "in-progress",
+    STOPPING: "in-progress",
+    COMPLETE: "complete",
+    FAILED: "failed",
+    STOPPED: "failed",
+};
+
+// **Start an ingestion job** on a { knowledgeBaseId, dataSourceId } target and return the Bedrock job
+// Callers should go through the ingestion scheduler, which serialises jobs per data source.
+export const startIngestionJob = async (description, { knowledgeBaseId, dataSourceId }) => {
+    const response = await bedrockClient.send(
+        new StartIngestionJobCommand({
+            knowledgeBaseId, // required
+            dataSourceId, // required
+            clientToken: uuidv4(), // Ensures idempotency
+            description,
+        })
+    );
+
+    console.log(`✅ Bedrock Ingestion Job Started: ${response.ingestionJob.ingestionJobId}`);
+    return response.ingestionJob;
+};
+
+// **Fetch an ingestion job and copy its state onto every Document it covers**
+// `target` is the { knowledgeBaseId, dataSourceId } the job was started on.
+export const refreshIngestionStatus = async (ingestionJobId, { knowledgeBaseId, dataSourceId }) => {
+    const { ingestionJob } = await bedrockClient.send(
+        new GetIngestionJobCommand({
+            knowledgeBaseId,
+            dataSourceId,
+            ingestionJobId,
+        })
+    );
+
+    const indexingStatus = INDEXING_STATUS[ingestionJob.status] || "in-progress";
+    const update = { indexingStatus };
+
+    if (indexingStatus === "failed") {
+        update.indexingError = ingestionJob.failureReasons?.join("; ") || `Ingestion job ${ingestionJob.status.toLowerCase()}`;
+    }
+    if (indexingStatus === "complete") {
+        update.indexedAt = ingestionJob.updatedAt || new Date();
+    }
+
+    await Document.updateMany({ ingestionJobId }, { $set: update });
+
+    if (indexingStatus === "complete") {
+        summarizeIndexedDocuments({ ingestionJobId });
+    }
+    return indexingStatus;
+};
+
+// **Poll unfinished ingestion jobs in the background**
+// Request handlers also refresh on demand, so a missed tick only delays the update.
+export const startIngestionStatusPoller = () => {
+    let polling = false;
+
+    const timer = setInterval(async () => {
+        if (polling) return;
+        polling = true;
+
+        try {
+            const documents = await Document.find(
+                { indexingStatus: { $in: ["pending", "in-progress"] }, ingestionJobId: { $ne: null } },
+                { ingestionJobId: 1, dataSource: 1 }
+            ).populate("dataSource");
+
+            // One job covers every document queued on its data source
+            const jobs = new Map(documents.map((document) => [document.ingestionJobId, ingestionTarget(document.dataSource)]));
+
+            for (const [jobId, target] of jobs) {
+                try {
+                    const status = await refreshIngestionStatus(jobId, target);
+                    console.log(`🔄 Ingestion job ${jobId}: ${status}`);
+                } catch (error) {
+                    console.error(`❌ Error polling ingestion job ${jobId}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error("❌ Error polling ingestion jobs:", error);
+        } finally {
+            polling = false;
+        }
+    }, POLL_INTERVAL_MS);
+
+    timer.unref(); // Never keep the process alive just for polling
+    return timer;
+};
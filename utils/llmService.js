@@ -0,0 +1,280 @@
+import { BedrockRuntimeClient, ConverseCommand, ConverseStreamCommand } from "@aws-sdk/client-bedrock-runtime";
+import OpenAI from "openai";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Providers share one interface:
+//   generate({ model, system, messages, maxTokens, temperature, abortSignal }) -> { text }
+//   stream(same options) yields text deltas
+// `messages` are { role: "user" | "assistant", content } in conversation order.
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+
+// **Bedrock provider** (Converse API, so any Bedrock chat model can be selected)
+export const createBedrockProvider = ({ defaultModel = process.env.BEDROCK_MODEL_ID || "mistral.mistral-small-2402-v1" } = {}) => {
+    const client = new BedrockRuntimeClient({
+        region: process.env.AWS_REGION,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+    });
+
+    const buildInput = ({ model, system, messages, maxTokens = 800, temperature = 0.5 }) => ({
+        modelId: model || defaultModel,
+        system: system ? [{ text: system }] : undefined,
+        messages: messages.map(({ role, content }) => ({ role, content: [{ text: content }] })),
+        inferenceConfig: { maxTokens, temperature },
+    });
+
+    return {
+        name: "bedrock",
+        defaultModel,
+
+        generate: async (options) => {
+            const response = await client.send(new ConverseCommand(buildInput(options)), { abortSignal: options.abortSignal });
+            return { text: response.output?.message?.content?.map((part) => part.text || "").join("") || "" };
+        },
+
+        stream: async function* (options) {
+            const response = await client.send(new ConverseStreamCommand(buildInput(options)), { abortSignal: options.abortSignal });
+            for await (const event of response.stream) {
+                if (event.contentBlockDelta?.delta?.text) {
+                    yield event.contentBlockDelta.delta.text;
+                }
+            }
+        },
+    };
+};
+
+// **OpenAI provider**
+export const createOpenAIProvider = ({ defaultModel = process.env.OPENAI_MODEL || "gpt-4-turbo" } = {}) => {
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+    const buildInput = ({ model, system, messages, maxTokens = 800, temperature = 0.7 }) => ({
+        model: model || defaultModel,
+        messages: [...(system ? [{ role: "system", content: system }] : []), ...messages],
+        max_tokens: maxTokens,
+        temperature,
+    });
+
+    return {
+        name: "openai",
+        defaultModel,
+
+        generate: async (options) => {
+            const response = await client.chat.completions.create(buildInput(options), { signal: options.abortSignal });
+            return { text: response.choices[0]?.message?.content || "" };
+        },
+
+        stream: async function* (options) {
+            const stream = await client.chat.completions.create({ ...buildInput(options), stream: true }, { signal: options.abortSignal });
+            for await (const chunk of stream) {
+                if (chunk.choices[0]?.delta?.content) {
+                    yield chunk.choices[0].delta.content;
+                }
+            }
+        },
+    };
+};
+
+// **Mock provider** for offline development and tests; answers deterministically
+export const createMockProvider = ({ defaultModel = "mock" } = {}) => {
+    const answer = ({ messages }) => {
+        const question = messages[messages.length - 1]?.content || "";
+        return `Mock answer to: ${question.split("\n").pop()}`;
+    };
+
+    return {
+        name: "mock",
+        defaultModel,
+
+        generate: async (options) => ({ text: answer(options) }),
+
+        stream: async function* (options) {
+            for (const token of answer(options).match(/\S+\s*/g) || []) {
+                if (options.abortSignal?.aborted) return;
+                yield token;
+            }
+        },
+    };
+};
+
+// A Map, so names that come from requests never resolve to Object.prototype members
+const providerFactories = new Map([
+    ["bedrock", createBedrockProvider],
+    ["openai", createOpenAIProvider],
+    ["mock", createMockProvider],
+]);
+
+// Providers are created on first use so missing credentials only matter if a provider is picked
+const providers = new Map();
+export const getProvider = (name) => {
+    if (!providerFactories.has(name)) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!providers.has(name)) providers.set(name, providerFactories.get(name)());
+    return providers.get(name);
+};
+
+export const PRIMARY_PROVIDER = process.env.LLM_PROVIDER || "bedrock";
+export const FALLBACK_PROVIDER = process.env.LLM_FALLBACK_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : null);
+
+// Models clients may pick besides each provider's default, as "provider:model", e.g.
+// LLM_ALLOWED_MODELS="openai:gpt-4o,bedrock:anthropic.claude-3-haiku-20240307-v1:0"
+export const ALLOWED_MODELS = new Set(
+    (process.env.LLM_ALLOWED_MODELS || "")
+        .split(",")
+        .map((model) => model.trim())
+        .filter(Boolean)
+);
+
+// **Parse a per-request model selection**
+// "openai:gpt-4o" or "bedrock:anthropic.claude-3-haiku-20240307-v1:0" pick a provider and model;
+// a bare provider name uses its default model and anything else is taken as a Bedrock model id.
+// Returns null when nothing was requested; already-parsed selections of a known provider pass through.
+export const parseModelSelection = (selection) => {
+    if (!selection) return null;
+    if (typeof selection === "object" && providerFactories.has(selection.provider)) return selection;
+    if (typeof selection !== "string") throw new Error("Invalid model selection");
+
+    const [prefix, ...rest] = selection.split(":");
+    if (providerFactories.has(prefix)) {
+        return { provider: prefix, model: rest.join(":") || null };
+    }
+    return { provider: "bedrock", model: selection };
+};
+
+// Providers a client may name: Bedrock always, OpenAI once it has an API key, and the mock
+// provider only when it is the configured LLM_PROVIDER
+const isConfiguredProvider = (name) =>
+    name === "bedrock" || name === PRIMARY_PROVIDER || (name === "openai" && Boolean(process.env.OPENAI_API_KEY));
+
+// **Check a model selection sent by a client**
+// Returns null when it may be used (nothing, the name of a configured provider, or a model in
+// ALLOWED_MODELS), otherwise the reason it was refused.
+export const modelSelectionError = (model) => {
+    if (model === undefined || model === null || model === "") return null;
+    if (typeof model !== "string") return 'model must be a string such as "openai:gpt-4o"';
+
+    const { provider, model: id } = parseModelSelection(model);
+    const allowed = () => [...[...providerFactories.keys()].filter(isConfiguredProvider), ...ALLOWED_MODELS].join(", ");
+    if (id && !ALLOWED_MODELS.has(`${provider}:${id}`)) {
+        return `Model "${provider}:${id}" is not available. Allowed: ${allowed()}`;
+    }
+    if (!id && !isConfiguredProvider(provider)) {
+        return `Provider "${provider}" is not configured. Allowed: ${allowed()}`;
+    }
+    return null;
+};
+
+// **Run a provider call with a timeout**, aborting the underlying request when it fires
+export const withTimeout = async (run, { timeoutMs = DEFAULT_TIMEOUT_MS, abortSignal } = {}) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    abortSignal?.addEventListener("abort", onAbort);
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(Object.assign(new Error(`LLM request timed out after ${timeoutMs}ms`), { name: "TimeoutError" }));
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([run(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+        abortSignal?.removeEventListener("abort", onAbort);
+    }
+};
+
+// **Abort signal for a stream** that fires when the caller's signal does, or once the stream
+// has been idle for timeoutMs. Call touch() on every chunk so long answers are never cut off,
+// and clear() once the stream is done.
+export const streamTimeoutSignal = ({ timeoutMs = DEFAULT_TIMEOUT_MS, abortSignal } = {}) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    abortSignal?.addEventListener("abort", onAbort);
+    let timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    return {
+        signal: controller.signal,
+        touch: () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => controller.abort(), timeoutMs);
+        },
+        clear: () => {
+            clearTimeout(timer);
+            abortSignal?.removeEventListener("abort", onAbort);
+        },
+    };
+};
+
+// **Generate text** with the selected (or primary) provider, falling back to the
+// secondary provider when the first one errors or times out.
+// Returns { text, provider, model }.
+export const generateText = async ({ selection, timeoutMs, abortSignal, ...options }) => {
+    const requested = parseModelSelection(selection) || { provider: PRIMARY_PROVIDER, model: null };
+    const attempts = [requested];
+    if (FALLBACK_PROVIDER && FALLBACK_PROVIDER !== requested.provider) {
+        attempts.push({ provider: FALLBACK_PROVIDER, model: null });
+    }
+
+    let lastError;
+    for (const { provider: name, model } of attempts) {
+        const provider = getProvider(name);
+        try {
+            const { text } = await withTimeout(
+                (signal) => provider.generate({ ...options, model, abortSignal: signal }),
+                { timeoutMs, abortSignal }
+            );
+            return { text, provider: name, model: model || provider.defaultModel };
+        } catch (error) {
+            if (abortSignal?.aborted) throw error;
+            console.error(`❌ Error generating with ${name}:`, error.message);
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+};
+
+// **Stream text** like generateText; falls back only if nothing has been emitted yet.
+// Yields { type: "token", text } events and finally { type: "model", provider, model }.
+export const streamText = async function* ({ selection, timeoutMs = DEFAULT_TIMEOUT_MS, abortSignal, ...options }) {
+    const requested = parseModelSelection(selection) || { provider: PRIMARY_PROVIDER, model: null };
+    const attempts = [requested];
+    if (FALLBACK_PROVIDER && FALLBACK_PROVIDER !== requested.provider) {
+        attempts.push({ provider: FALLBACK_PROVIDER, model: null });
+    }
+
+    let lastError;
+    for (const { provider: name, model } of attempts) {
+        const provider = getProvider(name);
+        let emitted = false;
+
+        // The timeout covers the wait for each chunk, and the caller's signal still cancels the stream
+        const { signal, touch, clear } = streamTimeoutSignal({ timeoutMs, abortSignal });
+
+        try {
+            for await (const text of provider.stream({ ...options, model, abortSignal: signal })) {
+                touch();
+                emitted = true;
+                yield { type: "token", text };
+            }
+            yield { type: "model", provider: name, model: model || provider.defaultModel };
+            return;
+        } catch (error) {
+            if (emitted || abortSignal?.aborted) throw error;
+            console.error(`❌ Error streaming with ${name}:`, error.message);
+            lastError = error;
+        } finally {
+            clear();
+        }
+    }
+
+    throw lastError;
+};
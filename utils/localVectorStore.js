@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const INDEX_PATH = process.env.LOCAL_INDEX_PATH || path.join(process.cwd(), ".data", "vector-index.json");
+const EMBEDDING_DIMENSIONS = 512;
+
+const splitter = new RecursiveCharacterTextSplitter({ chunkSize: 1000, chunkOverlap: 150 });
+
+// **Embed text offline** with feature hashing over word unigrams and bigrams.
+// Good enough for keyword-heavy lookups in development; pass a real model's
+// embedding function to createLocalVectorStore for better recall.
+export const hashEmbedding = async (text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+        const hash = crypto.createHash("md5").update(feature).digest();
+        const index = hash.readUInt32LE(0) % EMBEDDING_DIMENSIONS;
+        vector[index] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map((value) => value / norm);
+};
+
+const cosineSimilarity = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// **In-memory vector index persisted to a JSON file**
+export const createLocalVectorStore = ({ indexPath = INDEX_PATH, embed = hashEmbedding } = {}) => {
+    let entries = null;
+    let writeQueue = Promise.resolve();
+
+    const load = async () => {
+        if (!entries) {
+            entries = await fs
+                .readFile(indexPath, "utf8")
+                .then(JSON.parse)
+                .catch(() => []);
+        }
+        return entries;
+    };
+
+    // Writes are serialised and go through a temp file so a crash never leaves half an index
+    const save = () => {
+        writeQueue = writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(indexPath), { recursive: true });
+            await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(entries));
+            await fs.rename(`${indexPath}.tmp`, indexPath);
+        });
+        return writeQueue;
+    };
+
+    return {
+        // Chunk, embed and (re)index one document; returns the number of chunks stored
+        addDocument: async ({ documentId, key, fileName, dataSourceId, text }) => {
+            const chunks = await splitter.splitText(text);
+            const vectors = await Promise.all(chunks.map((chunk) => embed(chunk)));
+
+            await load();
+            entries = entries.filter((entry) => entry.documentId !== String(documentId));
+            entries.push(
+                ...chunks.map((chunk, chunkIndex) => ({
+                    documentId: String(documentId),
+                    key,
+                    fileName,
+                    dataSourceId,
+                    chunkIndex,
+                    text: chunk,
+                    vector: vectors[chunkIndex],
+                }))
+            );
+            await save();
+
+            return chunks.length;
+        },
+
+        removeDocument: async (documentId) => {
+            await load();
+            entries = entries.filter((entry) => entry.documentId !== String(documentId));
+            await save();
+        },
+
+        // Best matching chunks for a query, optionally limited to one or some data sources and/or some documents
+        search: async (query, { topK = 5, dataSourceId, dataSourceIds, documentIds } = {}) => {
+            await load();
+            const queryVector = await embed(query);
+            const allowed = documentIds && new Set(documentIds.map(String));
+
+            return entries
+                .filter((entry) => !dataSourceId || entry.dataSourceId === dataSourceId)
+                .filter((entry) => !dataSourceIds || dataSourceIds.includes(entry.dataSourceId))
+                .filter((entry) => !allowed || allowed.has(entry.documentId))
+                .map(({ vector, ...entry }) => ({ ...entry, score: cosineSimilarity(queryVector, vector) }))
+                .filter((hit) => hit.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+        },
+    };
+};
@@ -1,32 +0,0 @@
-import axios from "axios";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-// **Generate Response using OpenAI**
-export const generateWithOpenAI = async (query) => {
-    try {
-        const response = await axios.post(
-            "https://api.openai.com/v1/chat/completions",
-            {
-                model: "gpt-4-turbo", 
-                messages: [{ role: "user", content: query }],
-                max_tokens: 800,
-                temperature: 0.7,
-            },
-            {
-                headers: {
-                    "Content-Type": "application/json",
-                    Authorization: `Bearer ${OPENAI_API_KEY}`,
-                },
-            }
-        );
-
-        return response.data.choices[0].message.content;
-    } catch (error) {
-        console.error("❌ Error with OpenAI:", error.message);
-        throw error;
-    }
-};
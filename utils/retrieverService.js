@@ -0,0 +1,209 @@
+import {
+    BedrockAgentRuntimeClient,
+    RetrieveCommand,
+    RetrieveAndGenerateCommand,
+    RetrieveAndGenerateStreamCommand,
+} from "@aws-sdk/client-bedrock-agent-runtime";
+import dotenv from "dotenv";
+import { enqueueIngestion } from "./ingestionScheduler.js";
+import { createLocalVectorStore } from "./localVectorStore.js";
+import { extractText } from "./textExtraction.js";
+import { documentStorage, documentKey } from "./storageService.js";
+import { ingestionTarget } from "./dataSourceService.js";
+import { bedrockFilterConditions, documentFilterQuery } from "./documentMetadata.js";
+import Document from "../models/document.js";
+
+dotenv.config();
+
+// Retrievers share one interface:
+//   retrieve({ query, knowledgeBaseId, dataSourceId, dataSourceIds, filters, topK }) -> [{ content, location }]
+//   indexDocument(document, dataSource) -> updates the document's indexing fields (caller saves)
+//   indexDocuments(documents, dataSource) -> the same for a batch, indexed together
+//   removeDocument(document, dataSource)
+// Retrievers that can also answer in one call (Bedrock RetrieveAndGenerate) add:
+//   generate({ query, conversationContext, knowledgeBaseId, dataSourceId, dataSourceIds, filters, modelArn, abortSignal }) -> { text, citations }
+//   stream(same options) yields { type: "token", text } and { type: "citation", citation }
+// Citations are { text, references: [{ content, location }] } where location is
+// an s3://bucket/key or local://key URI. dataSourceId picks one data source and dataSourceIds
+// limits retrieval to a list of them (the ones a user may access). `filters` are parsed
+// document metadata filters (see parseRetrievalFilters).
+
+// Prompt sent to the model: chat turns carry earlier messages, instant lookups do not
+const buildPrompt = (query, conversationContext) =>
+    conversationContext === undefined ? `User query: ${query}` : `Context: ${conversationContext}\nUser: ${query}`;
+
+// Flatten a Bedrock citation into the passage it supports and the chunks it came from
+const formatBedrockCitation = (citation) => ({
+    text: citation.generatedResponsePart?.textResponsePart?.text || "",
+    references: (citation.retrievedReferences || []).map((reference) => ({
+        content: reference.content?.text || "",
+        location: reference.location?.s3Location?.uri || null,
+    })),
+});
+
+// **Bedrock knowledge base** (RetrieveAndGenerate against KNOWLEDGE_BASE_ID)
+export const createBedrockRetriever = () => {
+    const client = new BedrockAgentRuntimeClient({
+        region: process.env.AWS_REGION,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+    });
+
+    // Restrict retrieval to data sources through their built-in metadata attribute, and to
+    // documents whose metadata sidecar matches the filters
+    const retrievalFilter = ({ dataSourceId, dataSourceIds, filters }) => {
+        const key = "x-amz-bedrock-kb-data-source-id";
+        const conditions = [
+            ...(dataSourceId ? [{ equals: { key, value: dataSourceId } }] : []),
+            ...(dataSourceIds ? [{ in: { key, value: dataSourceIds } }] : []),
+            ...bedrockFilterConditions(filters),
+        ];
+        if (!conditions.length) return undefined;
+        return conditions.length === 1 ? conditions[0] : { andAll: conditions };
+    };
+
+    const buildInput = ({ query, conversationContext, knowledgeBaseId, modelArn, ...scope }) => {
+        const filter = retrievalFilter(scope);
+        return {
+            input: { text: buildPrompt(query, conversationContext) },
+            retrieveAndGenerateConfiguration: {
+                type: "KNOWLEDGE_BASE",
+                knowledgeBaseConfiguration: {
+                    knowledgeBaseId: knowledgeBaseId || process.env.KNOWLEDGE_BASE_ID,
+                    modelArn: modelArn || process.env.MODEL_ARN,
+                    ...(filter && {
+                        retrievalConfiguration: {
+                            vectorSearchConfiguration: { filter },
+                        },
+                    }),
+                },
+            },
+            sessionConfiguration: {
+                kmsKeyArn: process.env.KMS_KEY_ARN,
+            },
+        };
+    };
+
+    return {
+        kind: "bedrock",
+
+        retrieve: async ({ query, knowledgeBaseId, topK = 5, abortSignal, ...scope }) => {
+            const filter = retrievalFilter(scope);
+            const response = await client.send(
+                new RetrieveCommand({
+                    knowledgeBaseId: knowledgeBaseId || process.env.KNOWLEDGE_BASE_ID,
+                    retrievalQuery: { text: query },
+                    retrievalConfiguration: {
+                        vectorSearchConfiguration: {
+                            numberOfResults: topK,
+                            ...(filter && { filter }),
+                        },
+                    },
+                }),
+                { abortSignal }
+            );
+
+            return (response.retrievalResults || []).map((result) => ({
+                content: result.content?.text || "",
+                location: result.location?.s3Location?.uri || null,
+            }));
+        },
+
+        generate: async ({ abortSignal, ...options }) => {
+            const response = await client.send(new RetrieveAndGenerateCommand(buildInput(options)), { abortSignal });
+            return {
+                text: response.output?.text || "No response generated.",
+                citations: (response.citations || []).map(formatBedrockCitation),
+            };
+        },
+
+        stream: async function* ({ abortSignal, ...options }) {
+            const response = await client.send(new RetrieveAndGenerateStreamCommand(buildInput(options)), { abortSignal });
+
+            for await (const event of response.stream) {
+                if (event.output?.text) {
+                    yield { type: "token", text: event.output.text };
+                } else if (event.citation) {
+                    // Newer SDKs put the fields on the event itself; older ones nest them under .citation
+                    const citation = event.citation.retrievedReferences ? event.citation : event.citation.citation || {};
+                    yield { type: "citation", citation: formatBedrockCitation(citation) };
+                }
+            }
+        },
+
+        // Bedrock indexes from S3 through ingestion jobs; the document stays "pending" until one covers it
+        indexDocument: async (document, dataSource) => {
+            await enqueueIngestion({ reason: "upload", documentId: document._id, target: ingestionTarget(dataSource) });
+        },
+
+        // A batch of uploads is queued together so one ingestion job covers all of it
+        indexDocuments: async (documents, dataSource) => {
+            await enqueueIngestion({
+                reason: "bulk upload",
+                documentIds: documents.map((document) => document._id),
+                target: ingestionTarget(dataSource),
+            });
+        },
+
+        removeDocument: async (document, dataSource) => {
+            await enqueueIngestion({ reason: "delete", target: ingestionTarget(dataSource) });
+        },
+    };
+};
+
+// **Self-hosted retriever** for offline development and tests
+// Files are parsed, chunked and embedded into a local vector index; answers are
+// generated from the retrieved passages by the LLM layer (LLM_PROVIDER=mock works offline).
+export const createLocalRetriever = ({ vectorStore = createLocalVectorStore() } = {}) => {
+    const indexDocument = async (document, dataSource) => {
+        const key = documentKey(document);
+        const { body } = await documentStorage(document).get(key);
+        const text = await extractText(body, document.contentType, document.fileName);
+
+        await vectorStore.addDocument({
+            documentId: document._id,
+            key,
+            fileName: document.fileName,
+            dataSourceId: ingestionTarget(dataSource).dataSourceId,
+            text,
+        });
+
+        document.indexingStatus = "complete";
+        document.indexingError = null;
+        document.indexedAt = new Date();
+    };
+
+    return {
+        kind: "local",
+
+        // Metadata lives on Document records here, so filters become the set of matching documents
+        retrieve: async ({ query, dataSourceId, dataSourceIds, filters, topK = 5 }) => {
+            const documentIds = filters ? await Document.distinct("_id", documentFilterQuery(filters)) : undefined;
+            const hits = await vectorStore.search(query, { topK, dataSourceId, dataSourceIds, documentIds });
+            return hits.map((hit) => ({ content: hit.text, location: `local://${hit.key}` }));
+        },
+
+        indexDocument,
+
+        // One failed file marks only that document as failed
+        indexDocuments: async (documents, dataSource) => {
+            for (const document of documents) {
+                try {
+                    await indexDocument(document, dataSource);
+                } catch (error) {
+                    document.indexingStatus = "failed";
+                    document.indexingError = error.message;
+                }
+            }
+        },
+
+        removeDocument: async (document) => {
+            await vectorStore.removeDocument(document._id);
+        },
+    };
+};
+
+// **Retriever selected by RETRIEVER** ("bedrock" by default, or "local")
+export const retriever = process.env.RETRIEVER === "local" ? createLocalRetriever() : createBedrockRetriever();
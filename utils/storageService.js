@@ -0,0 +1,344 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    GetBucketVersioningCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectVersionsCommand,
+    ListObjectsV2Command,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Storage adapters share one interface:
+//   put(key, body, contentType) -> { key, url }
+//   get(key)                    -> { body: Buffer, contentType }
+//   getSignedUrl(key, options)  -> short-lived download URL
+//   delete(key)                 -> on a versioned bucket this only hides the object
+//   purge(key)                  -> remove the object and every earlier version of it for good
+//   list(prefix)                -> [key]
+//   objectUrl(key)              -> permanent URL recorded on Document.fileUrl
+//   head(key)                   -> { size, contentType }, or null when there is no such object
+//   peek(key, bytes)            -> the first bytes of an object, for content sniffing
+//   getSignedUploadUrl(key, options) -> short-lived URL the client can PUT the file to
+//   copy(sourceKey, key, { sourceBucket }) -> copy an object here, e.g. out of the upload staging area
+// S3 storage also supports multipart uploads for large files:
+//   createMultipartUpload(key, contentType) -> uploadId
+//   getSignedPartUrl(key, uploadId, partNumber, options)
+//   completeMultipartUpload(key, uploadId, parts) / abortMultipartUpload(key, uploadId)
+// Earlier versions of an object are kept by reference, so they never sit where a data source ingests:
+//   keepVersion(key)                 -> versionRef for the object currently at key
+//   restoreVersion(key, versionRef)  -> make that version current again (as a new version)
+//   getSignedUrl(key, { versionRef })
+
+// **S3 storage** (the default; Bedrock ingests the knowledge base from this bucket)
+export const createS3Storage = ({ bucket = process.env.S3_BUCKET_NAME, region = process.env.AWS_REGION } = {}) => {
+    const s3 = new S3Client({
+        region,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+    });
+
+    const objectUrl = (key) => `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+
+    return {
+        driver: "s3",
+        bucket,
+        client: s3,
+        objectUrl,
+
+        put: async (key, body, contentType) => {
+            await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+            return { key, url: objectUrl(key) };
+        },
+
+        get: async (key) => {
+            const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return {
+                body: Buffer.from(await response.Body.transformToByteArray()),
+                contentType: response.ContentType,
+            };
+        },
+
+        getSignedUrl: (key, { expiresIn = 3600, fileName, versionRef } = {}) =>
+            getSignedUrl(
+                s3,
+                new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    VersionId: versionRef,
+                    ResponseContentDisposition: fileName ? `inline; filename="${encodeURIComponent(fileName)}"` : undefined,
+                }),
+                { expiresIn }
+            ),
+
+        head: async (key) => {
+            try {
+                const response = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: response.ContentLength, contentType: response.ContentType };
+            } catch (err) {
+                if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) return null;
+                throw err;
+            }
+        },
+
+        peek: async (key, bytes = 65536) => {
+            const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: `bytes=0-${bytes - 1}` }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        },
+
+        getSignedUploadUrl: (key, { contentType, expiresIn = 3600 } = {}) =>
+            getSignedUrl(s3, new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType }), { expiresIn }),
+
+        // Server-side copy, so the file never passes through the API; keeps the content type
+        copy: async (sourceKey, key, { sourceBucket = bucket } = {}) => {
+            const source = `${sourceBucket}/${sourceKey.split("/").map(encodeURIComponent).join("/")}`;
+            await s3.send(new CopyObjectCommand({ Bucket: bucket, Key: key, CopySource: source }));
+        },
+
+        createMultipartUpload: async (key, contentType) => {
+            const response = await s3.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType }));
+            return response.UploadId;
+        },
+
+        getSignedPartUrl: (key, uploadId, partNumber, { expiresIn = 3600 } = {}) =>
+            getSignedUrl(s3, new UploadPartCommand({ Bucket: bucket, Key: key, UploadId: uploadId, PartNumber: partNumber }), { expiresIn }),
+
+        // parts: [{ partNumber, etag }] as reported by the client for every uploaded part
+        completeMultipartUpload: async (key, uploadId, parts) => {
+            await s3.send(
+                new CompleteMultipartUploadCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    UploadId: uploadId,
+                    MultipartUpload: {
+                        Parts: [...parts]
+                            .sort((a, b) => a.partNumber - b.partNumber)
+                            .map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag })),
+                    },
+                })
+            );
+        },
+
+        abortMultipartUpload: async (key, uploadId) => {
+            await s3.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+        },
+
+        // S3 keeps replaced objects itself once bucket versioning is on; the ref is the VersionId
+        keepVersion: async (key) => {
+            const response = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            if (response.VersionId && response.VersionId !== "null") return response.VersionId;
+
+            // Objects uploaded before versioning was turned on have the version id "null", which S3
+            // keeps like any other version once versioning is enabled
+            const { Status } = await s3.send(new GetBucketVersioningCommand({ Bucket: bucket }));
+            if (Status !== "Enabled") {
+                const err = new Error(`Versioning is not enabled on bucket ${bucket}`);
+                err.code = "VERSIONING_DISABLED";
+                throw err;
+            }
+            return "null";
+        },
+
+        restoreVersion: async (key, versionRef) => {
+            const source = `${bucket}/${key.split("/").map(encodeURIComponent).join("/")}?versionId=${encodeURIComponent(versionRef)}`;
+            await s3.send(new CopyObjectCommand({ Bucket: bucket, Key: key, CopySource: source }));
+        },
+
+        delete: async (key) => {
+            await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        // Deleting every version (and delete marker) is the only way to remove data from a versioned bucket
+        purge: async (key) => {
+            let KeyMarker;
+            let VersionIdMarker;
+            let truncated;
+            do {
+                const response = await s3.send(
+                    new ListObjectVersionsCommand({ Bucket: bucket, Prefix: key, KeyMarker, VersionIdMarker })
+                );
+                const versions = [...(response.Versions || []), ...(response.DeleteMarkers || [])]
+                    .filter((version) => version.Key === key)
+                    .map(({ Key, VersionId }) => ({ Key, VersionId }));
+                if (versions.length) {
+                    await s3.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: versions, Quiet: true } }));
+                }
+                ({ NextKeyMarker: KeyMarker, NextVersionIdMarker: VersionIdMarker, IsTruncated: truncated } = response);
+            } while (truncated);
+        },
+
+        list: async (prefix = "") => {
+            const keys = [];
+            let ContinuationToken;
+            do {
+                const response = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+                keys.push(...(response.Contents || []).map((object) => object.Key));
+                ContinuationToken = response.NextContinuationToken;
+            } while (ContinuationToken);
+            return keys;
+        },
+    };
+};
+
+// **Local-disk storage** for development and offline use
+// Signed URLs point at the API's /api/storage route and carry an HMAC of key and expiry
+// (and of the method, for upload links).
+export const createLocalStorage = ({
+    root = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), "uploads"),
+    baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`,
+    secret = process.env.STORAGE_SIGNING_SECRET,
+} = {}) => {
+    if (!secret) {
+        console.log("⚠️ STORAGE_SIGNING_SECRET not set; local download links will stop working after a restart.");
+        secret = crypto.randomBytes(32).toString("hex");
+    }
+
+    // Keep every key inside the storage root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const sign = (key, expires, method = "GET") =>
+        crypto.createHmac("sha256", secret).update(method === "GET" ? `${key}:${expires}` : `${method}:${key}:${expires}`).digest("hex");
+
+    const signedLink = (key, expiresIn, method) => {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+        return `${baseUrl}/api/storage/${encodedKey}?expires=${expires}&signature=${sign(key, expires, method)}`;
+    };
+
+    // Content types are kept next to the file, as S3 keeps them in object metadata
+    const metaPath = (key) => `${resolveKey(key)}.meta.json`;
+
+    return {
+        driver: "local",
+        root,
+        objectUrl: (key) => `local://${key}`,
+
+        put: async (key, body, contentType) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+            await fs.writeFile(metaPath(key), JSON.stringify({ contentType }));
+            return { key, url: `local://${key}` };
+        },
+
+        get: async (key) => {
+            const body = await fs.readFile(resolveKey(key));
+            const meta = await fs.readFile(metaPath(key), "utf8").then(JSON.parse).catch(() => ({}));
+            return { body, contentType: meta.contentType || "application/octet-stream" };
+        },
+
+        getSignedUrl: async (key, { expiresIn = 3600, versionRef } = {}) => signedLink(versionRef || key, expiresIn, "GET"),
+
+        getSignedUploadUrl: async (key, { expiresIn = 3600 } = {}) => signedLink(key, expiresIn, "PUT"),
+
+        copy: async (sourceKey, key) => {
+            await fs.mkdir(path.dirname(resolveKey(key)), { recursive: true });
+            await fs.copyFile(resolveKey(sourceKey), resolveKey(key));
+            await fs.copyFile(metaPath(sourceKey), metaPath(key)).catch(() => {});
+        },
+
+        // Check a link produced by getSignedUrl (GET) or getSignedUploadUrl (PUT)
+        verifySignature: (key, expires, signature, method = "GET") => {
+            if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+            const expected = Buffer.from(sign(key, expires, method));
+            const actual = Buffer.from(String(signature));
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        },
+
+        head: async (key) => {
+            try {
+                const { size } = await fs.stat(resolveKey(key));
+                const meta = await fs.readFile(metaPath(key), "utf8").then(JSON.parse).catch(() => ({}));
+                return { size, contentType: meta.contentType };
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+
+        peek: async (key, bytes = 65536) => {
+            const file = await fs.open(resolveKey(key));
+            try {
+                const { buffer, bytesRead } = await file.read(Buffer.alloc(bytes), 0, bytes, 0);
+                return buffer.subarray(0, bytesRead);
+            } finally {
+                await file.close();
+            }
+        },
+
+        // Earlier versions are copied under .versions/, which the local retriever never scans
+        keepVersion: async (key) => {
+            const versionRef = `.versions/${key}/${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+            await fs.mkdir(path.dirname(resolveKey(versionRef)), { recursive: true });
+            await fs.copyFile(resolveKey(key), resolveKey(versionRef));
+            await fs.copyFile(metaPath(key), metaPath(versionRef)).catch(() => {});
+            return versionRef;
+        },
+
+        restoreVersion: async (key, versionRef) => {
+            await fs.copyFile(resolveKey(versionRef), resolveKey(key));
+            await fs.copyFile(metaPath(versionRef), metaPath(key)).catch(() => {});
+        },
+
+        delete: async (key) => {
+            await fs.rm(resolveKey(key), { force: true });
+            await fs.rm(metaPath(key), { force: true });
+        },
+
+        purge: async (key) => {
+            await fs.rm(resolveKey(key), { force: true });
+            await fs.rm(metaPath(key), { force: true });
+            await fs.rm(resolveKey(`.versions/${key}`), { recursive: true, force: true });
+        },
+
+        list: async (prefix = "") => {
+            const entries = await fs.readdir(root, { recursive: true, withFileTypes: true }).catch(() => []);
+            return entries
+                .filter((entry) => entry.isFile() && !entry.name.endsWith(".meta.json"))
+                .map((entry) => path.relative(root, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join("/"))
+                .filter((key) => key.startsWith(prefix) && !key.startsWith(".versions/"));
+        },
+    };
+};
+
+// **Storage selected by STORAGE_DRIVER** ("s3" by default, or "local")
+export const storage = process.env.STORAGE_DRIVER === "local" ? createLocalStorage() : createS3Storage();
+
+// **Storage for a specific S3 bucket** (data sources may live in their own buckets).
+// The local driver has a single root, so the bucket is ignored there.
+const bucketStorages = new Map();
+export const storageForBucket = (bucket) => {
+    if (!bucket || storage.driver !== "s3" || bucket === storage.bucket) return storage;
+
+    if (!bucketStorages.has(bucket)) {
+        bucketStorages.set(bucket, createS3Storage({ bucket }));
+    }
+    return bucketStorages.get(bucket);
+};
+
+// **Storage holding a document's file**
+export const documentStorage = (document) => storageForBucket(document.bucket);
+
+// **Object key of a document**, falling back to the URL for records saved before objectKey existed
+export const documentKey = (document) => document.objectKey || document.fileUrl.split("/").pop();
@@ -0,0 +1,67 @@
+// pdf-parse's package entry runs a debug harness when imported as ESM; load the library directly
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import mammoth from "mammoth";
+
+// Strip markup from an HTML document, keeping block boundaries as line breaks
+const htmlToText = (html) =>
+    html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+        .replace(/<\/(p|div|li|h[1-6]|tr|br)>|<br\s*\/?>/gi, "\n")
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/[ \t]+/g, " ")
+        .replace(/\n\s*\n+/g, "\n\n")
+        .trim();
+
+// Text of one PDF page, with a line break wherever the text moves to a new line
+const renderPdfPage = async (pageData) => {
+    const { items } = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+    let text = "";
+    let lastY;
+    for (const item of items) {
+        const y = item.transform[5];
+        text += lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+    }
+    return text;
+};
+
+// **Extract plain text from an uploaded file, page by page**
+// PDFs keep their pages; other formats have no fixed pagination and come back as one page.
+// Supports the formats uploads accept; throws for anything else.
+export const extractPages = async (buffer, contentType = "", fileName = "") => {
+    const extension = fileName.split(".").pop().toLowerCase();
+
+    if (contentType === "application/pdf" || extension === "pdf") {
+        // pdf-parse renders pages one after another, so they arrive in order
+        const pages = [];
+        await pdfParse(buffer, {
+            pagerender: async (pageData) => {
+                const text = await renderPdfPage(pageData);
+                pages.push(text);
+                return text;
+            },
+        });
+        return pages;
+    }
+    if (contentType.includes("wordprocessingml") || extension === "docx") {
+        const { value } = await mammoth.extractRawText({ buffer });
+        return [value];
+    }
+    if (contentType === "text/html" || ["html", "htm"].includes(extension)) {
+        return [htmlToText(buffer.toString("utf8"))];
+    }
+    if (contentType.startsWith("text/") || ["txt", "md", "csv", "json"].includes(extension)) {
+        return [buffer.toString("utf8")];
+    }
+
+    throw new Error(`Unsupported file type for text extraction: ${contentType || extension}`);
+};
+
+// **Extract plain text from an uploaded file** as a single string
+export const extractText = async (buffer, contentType = "", fileName = "") =>
+    (await extractPages(buffer, contentType, fileName)).join("\n\n");
@@ -0,0 +1,128 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Printable text: no NUL bytes in the first 8 KB
+const looksLikeText = (buffer) => !buffer.subarray(0, 8192).includes(0);
+
+const startsWith = (buffer, signature) => buffer.subarray(0, signature.length).equals(Buffer.from(signature));
+
+// File types the knowledge base can ingest, keyed by extension.
+// `sniff` checks the bytes really are that type instead of trusting the client's mimetype.
+export const UPLOAD_TYPES = {
+    pdf: { contentType: "application/pdf", sniff: (buffer) => startsWith(buffer, "%PDF-") },
+    docx: {
+        contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        // A zip archive whose entries include the word/ part of an Office document
+        sniff: (buffer) => startsWith(buffer, "PK\x03\x04") && buffer.includes("word/"),
+    },
+    txt: { contentType: "text/plain", sniff: looksLikeText },
+    csv: { contentType: "text/csv", sniff: looksLikeText },
+    md: { contentType: "text/markdown", sniff: looksLikeText },
+    html: { contentType: "text/html", sniff: looksLikeText },
+    htm: { contentType: "text/html", sniff: looksLikeText },
+};
+
+// UPLOAD_ALLOWED_TYPES narrows the list, e.g. "pdf,docx"
+export const ALLOWED_EXTENSIONS = (process.env.UPLOAD_ALLOWED_TYPES || Object.keys(UPLOAD_TYPES).join(","))
+    .split(",")
+    .map((extension) => extension.trim().toLowerCase().replace(/^\./, ""))
+    .filter((extension) => UPLOAD_TYPES[extension]);
+
+export const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 25 * 1024 * 1024;
+
+// Files sent straight to storage never pass through the API, so they can be much larger
+export const MAX_DIRECT_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_DIRECT_BYTES) || 500 * 1024 * 1024;
+
+// Bulk uploads: files per batch (after ZIP archives are expanded), size of each archive, and
+// total bytes of a batch, both as sent and once its archives are expanded
+export const MAX_BATCH_FILES = Number(process.env.UPLOAD_MAX_BATCH_FILES) || 200;
+export const MAX_ARCHIVE_BYTES = Number(process.env.UPLOAD_MAX_ARCHIVE_BYTES) || 200 * 1024 * 1024;
+export const MAX_BATCH_BYTES = Number(process.env.UPLOAD_MAX_BATCH_BYTES) || 200 * 1024 * 1024;
+
+// **Size limit for messages**, in KB below 1 MB so small limits never read "0 MB"
+export const formatBytes = (bytes) => {
+    const [amount, unit] = bytes < 1024 * 1024 ? [bytes / 1024, "KB"] : [bytes / 1024 / 1024, "MB"];
+    return `${Number(amount.toFixed(1))} ${unit}`;
+};
+
+// **Make a client-supplied file name safe for object keys and headers**
+// Drops any directory part, accents and characters outside [A-Za-z0-9._-], and caps the length.
+export const sanitizeFileName = (fileName = "") => {
+    const base = path.basename(fileName.replace(/\\/g, "/"))
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "");
+    const extension = path.extname(base).toLowerCase().replace(/[^a-z0-9.]/g, "");
+    const stem = path.basename(base, path.extname(base))
+        .replace(/[^A-Za-z0-9._-]+/g, "-")
+        .replace(/^[-.]+|[-.]+$/g, "")
+        .substring(0, 100);
+
+    return `${stem || "file"}${extension}`;
+};
+
+const extensionOf = (fileName) => path.extname(fileName).slice(1).toLowerCase();
+
+// **Check an uploaded file** ({ originalname, buffer, size }) against the allow-list, size limit and its own bytes
+// `buffer` only needs the start of the file; without one (before a direct upload) only the name
+// and size are checked. Returns { fileName, contentType, extension } or { status, message } for a 4xx answer.
+export const validateUpload = (file, { maxBytes = MAX_UPLOAD_BYTES } = {}) => {
+    const fileName = sanitizeFileName(file.originalname);
+    const extension = extensionOf(fileName);
+
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+        return { status: 415, message: `Unsupported file type ".${extension}". Allowed types: ${ALLOWED_EXTENSIONS.join(", ")}` };
+    }
+    if (!file.size) {
+        return { status: 400, message: "Uploaded file is empty" };
+    }
+    if (file.size > maxBytes) {
+        return { status: 413, message: `File is larger than the ${formatBytes(maxBytes)} limit` };
+    }
+    if (file.buffer && !UPLOAD_TYPES[extension].sniff(file.buffer)) {
+        return { status: 415, message: `File content does not match its .${extension} extension` };
+    }
+
+    return { fileName, contentType: UPLOAD_TYPES[extension].contentType, extension };
+};
+
+// Scanner run on every accepted upload before it is stored (or, for direct uploads, before it is accepted):
+// async ({ buffer, fileName, contentType, userId, bucket, key }) => ({ clean: boolean, reason?: string })
+// Direct uploads are already in storage and come without a buffer; scan them by bucket and key.
+let uploadScanner = null;
+let scannerLoaded = false;
+
+// **Plug in a malware/content scanner** (pass null to remove it)
+export const setUploadScanner = (scanner) => {
+    uploadScanner = scanner;
+    scannerLoaded = true;
+};
+
+// UPLOAD_SCANNER_MODULE names a module whose default export is a scanner, loaded on first use
+const loadScanner = async () => {
+    if (!scannerLoaded && process.env.UPLOAD_SCANNER_MODULE) {
+        const module = await import(pathToFileURL(path.resolve(process.env.UPLOAD_SCANNER_MODULE)).href);
+        uploadScanner = module.default;
+        console.log(`✅ Upload scanner loaded from ${process.env.UPLOAD_SCANNER_MODULE}`);
+    }
+    scannerLoaded = true;
+    return uploadScanner;
+};
+
+// **Run the configured scanner on an upload**
+// Returns null when the file may be stored, or { status, message } when it must be refused.
+// A scanner that fails refuses the file rather than letting it through unchecked.
+export const scanUpload = async (upload) => {
+    try {
+        const scanner = await loadScanner();
+        if (!scanner) return null;
+
+        const result = await scanner(upload);
+        return result?.clean ? null : { status: 422, message: `File rejected by scan: ${result?.reason || "not clean"}` };
+    } catch (err) {
+        console.error("❌ Upload scan failed:", err);
+        return { status: 503, message: "File scanning is unavailable, please try again later" };
+    }
+};
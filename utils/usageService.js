@@ -0,0 +1,133 @@
+import dotenv from "dotenv";
+import UsageCounter from "../models/usageCounter.js";
+
+dotenv.config();
+
+// Limits on generation and upload requests; 0 turns a limit off
+const limitFromEnv = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+
+export const USAGE_LIMITS = {
+    userPerMinute: limitFromEnv("RATE_LIMIT_USER_PER_MINUTE", 10),
+    ipPerMinute: limitFromEnv("RATE_LIMIT_IP_PER_MINUTE", 30),
+    userPerDay: limitFromEnv("QUOTA_DAILY_QUERIES", 200),
+    userPerMonth: limitFromEnv("QUOTA_MONTHLY_QUERIES", 3000),
+    // Bulk and direct uploads buffer or reserve a lot per request, so they are limited separately
+    uploadsPerMinute: limitFromEnv("RATE_LIMIT_UPLOADS_PER_MINUTE", 5),
+    uploadsPerDay: limitFromEnv("QUOTA_DAILY_UPLOADS", 100),
+};
+
+// **Start and end of the window containing `now`** (UTC)
+const windowBounds = (window, now = new Date()) => {
+    if (window === "minute") {
+        const start = new Date(Math.floor(now.getTime() / 60000) * 60000);
+        return { start, end: new Date(start.getTime() + 60000) };
+    }
+    if (window === "day") {
+        const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        return { start, end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)) };
+    }
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return { start, end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) };
+};
+
+// Counters expire a day after their window closes
+const counterKey = (subject, window) => {
+    const { start, end } = windowBounds(window);
+    return { key: { subject, window, windowStart: start }, end };
+};
+
+// **Take one request from a limit**, returning false when it is already used up
+// The counter is created at zero first, then only incremented while it is below the limit,
+// so a full counter is detected by the conditional update matching nothing.
+const claim = async ({ subject, window, limit }) => {
+    const { key, end } = counterKey(subject, window);
+
+    try {
+        await UsageCounter.updateOne(
+            key,
+            { $setOnInsert: { count: 0, expiresAt: new Date(end.getTime() + 24 * 60 * 60 * 1000) } },
+            { upsert: true }
+        );
+    } catch (err) {
+        // Another request created the counter at the same moment
+        if (err.code !== 11000) throw err;
+    }
+    return Boolean(await UsageCounter.findOneAndUpdate({ ...key, count: { $lt: limit } }, { $inc: { count: 1 } }));
+};
+
+// **Give back a request taken by claim()**
+const release = ({ subject, window }) =>
+    UsageCounter.updateOne({ ...counterKey(subject, window).key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+
+const exceededLimit = ({ window, limit }) => ({ window, limit, resetAt: windowBounds(window).end });
+
+// **Record a request against several limits at once**
+// Every limit is checked before anything is counted, so a request refused by one limit
+// does not use up the others; if a limit fills up in the meantime the requests already
+// taken are given back. Returns { exceeded } with the first limit hit, or { release } to
+// hand the request back (e.g. when it turns out to be invalid).
+const consumeLimits = async (checks) => {
+    const active = checks.filter(({ limit }) => limit);
+    // Every limit turned off (0); MongoDB rejects an empty $or
+    if (!active.length) return { exceeded: null, release: async () => {} };
+
+    const counters = await UsageCounter.find({
+        $or: active.map(({ subject, window }) => counterKey(subject, window).key),
+    }).lean();
+    const full = active.find(({ subject, window, limit }) =>
+        counters.some((counter) => counter.subject === subject && counter.window === window && counter.count >= limit)
+    );
+    if (full) return { exceeded: exceededLimit(full) };
+
+    const taken = [];
+    for (const check of active) {
+        if (!(await claim(check))) {
+            await Promise.all(taken.map(release));
+            return { exceeded: exceededLimit(check) };
+        }
+        taken.push(check);
+    }
+    return { exceeded: null, release: () => Promise.all(taken.map(release)) };
+};
+
+// **Record a generation request** per user and IP per minute, and against the user's quotas
+// Returns { exceeded } or { release } (see consumeLimits).
+export const consumeGeneration = ({ userId, ip }) =>
+    consumeLimits([
+        { subject: `user:${userId}`, window: "minute", limit: USAGE_LIMITS.userPerMinute },
+        { subject: `ip:${ip}`, window: "minute", limit: USAGE_LIMITS.ipPerMinute },
+        { subject: `user:${userId}`, window: "day", limit: USAGE_LIMITS.userPerDay },
+        { subject: `user:${userId}`, window: "month", limit: USAGE_LIMITS.userPerMonth },
+    ]);
+
+// **Record a bulk or direct upload request** per user per minute and per day
+// Returns { exceeded } or { release } (see consumeLimits).
+export const consumeUpload = ({ userId }) =>
+    consumeLimits([
+        { subject: `uploads:user:${userId}`, window: "minute", limit: USAGE_LIMITS.uploadsPerMinute },
+        { subject: `uploads:user:${userId}`, window: "day", limit: USAGE_LIMITS.uploadsPerDay },
+    ]);
+
+// **Build the usage counter indexes** before limits are enforced
+// The unique index keeps concurrent requests from creating duplicate counters for one window.
+export const ensureUsageIndexes = () => UsageCounter.createIndexes();
+
+// **Current allowance of a user** for GET /api/usage
+export const usageSummary = async (userId) => {
+    const windows = [
+        ["minute", USAGE_LIMITS.userPerMinute],
+        ["day", USAGE_LIMITS.userPerDay],
+        ["month", USAGE_LIMITS.userPerMonth],
+    ];
+
+    return Object.fromEntries(
+        await Promise.all(
+            windows.map(async ([window, limit]) => {
+                const { start, end } = windowBounds(window);
+                const counter = await UsageCounter.findOne({ subject: `user:${userId}`, window, windowStart: start });
+                const used = counter?.count || 0;
+                return [window, { limit: limit || null, used, remaining: limit ? Math.max(limit - used, 0) : null, resetAt: end }];
+            })
+        )
+    );
+};